@@ -2,8 +2,155 @@
  */
 define(['../image/layer',
         '../helper/segment-annotator',
+        '../helper/keymap',
         '../helper/util'],
-function(Layer, Annotator, util) {
+function(Layer, Annotator, Keymap, util) {
+  // Pointer usage common to the tools.
+  var navigationUsage = [
+    "wheel: zoom at cursor",
+    "middle or space+drag: pan",
+    "pinch: zoom",
+    "two fingers: pan",
+    "long press: same as right"
+  ];
+
+  // Tools in the sidebar with the default shortcut and the mouse usage.
+  var toolList = [
+    {
+      name: "polygon",
+      title: "Polygon tool",
+      key: "p",
+      usage: ["left: add vertex", "double/first vertex: close",
+              "drag: move vertex/edge", "right on vertex: delete",
+              "right: abort", "backspace: remove last", "enter: apply"]
+    },
+    {
+      name: "superpixel",
+      title: "Superpixel tool",
+      key: "s",
+      usage: ["left: mark", "right: pick label"]
+    },
+    {
+      name: "brush",
+      title: "Brush tool",
+      key: "d",
+      usage: ["left: paint", "right: pick label"]
+    },
+    {
+      name: "eraser",
+      title: "Eraser tool",
+      key: "e",
+      usage: ["left: erase", "right: pick label"]
+    },
+    {
+      name: "fill",
+      title: "Fill tool",
+      key: "f",
+      usage: ["left: fill region"]
+    },
+    {
+      name: "wand",
+      title: "Magic wand",
+      key: "w",
+      usage: ["left: select", "left on selection: mark"]
+    },
+    {
+      name: "grabcut",
+      title: "GrabCut tool",
+      key: "g",
+      usage: ["drag: rectangle", "then left/right: fg/bg"]
+    },
+    {
+      name: "livewire",
+      title: "Live-wire tool",
+      key: "l",
+      usage: ["left: add anchor", "left on first: close", "right: abort"]
+    },
+    {
+      name: "rectangle",
+      title: "Rectangle tool",
+      key: "r",
+      usage: ["drag: mark shape", "shift: 1:1 ratio", "alt: from center"]
+    },
+    {
+      name: "ellipse",
+      title: "Ellipse tool",
+      key: "o",
+      usage: ["drag: mark shape", "shift: 1:1 ratio", "alt: from center"]
+    }
+  ];
+
+  // Export formats. create() returns a URL to download.
+  var exportFormats = [
+    {
+      title: "PNG",
+      extension: ".png",
+      create: function (annotator) { return annotator.export(); }
+    },
+    {
+      title: "PNG (indexed)",
+      extension: ".png",
+      create: function (annotator) {
+        return annotator.export({ format: "indexed" });
+      }
+    },
+    {
+      title: "PNG (16-bit)",
+      extension: ".png",
+      create: function (annotator) {
+        return annotator.export({ format: "gray16" });
+      }
+    },
+    {
+      title: "COCO polygons",
+      extension: ".json",
+      create: function (annotator, data, params) {
+        return createJSONURL(annotator.exportCOCO(
+            getCOCOOptions(data, params, "polygon")));
+      }
+    },
+    {
+      title: "COCO RLE",
+      extension: ".json",
+      create: function (annotator, data, params) {
+        return createJSONURL(annotator.exportCOCO(
+            getCOCOOptions(data, params, "compressed")));
+      }
+    },
+    {
+      title: "GeoJSON",
+      extension: ".geojson",
+      create: function (annotator, data) {
+        return createJSONURL(annotator.exportVector({
+          format: "geojson",
+          labels: data.labels
+        }));
+      }
+    },
+    {
+      title: "SVG",
+      extension: ".svg",
+      create: function (annotator, data) {
+        var svg = annotator.exportVector({
+          format: "svg",
+          labels: data.labels
+        });
+        return URL.createObjectURL(new Blob([svg], { type: "image/svg+xml" }));
+      }
+    },
+    {
+      title: "LabelMe",
+      extension: ".json",
+      create: function (annotator, data, params) {
+        return createJSONURL(annotator.exportVector({
+          format: "labelme",
+          labels: data.labels,
+          imagePath: data.imageURLs[params.id].split(/[\\/]/).pop()
+        }));
+      }
+    }
+  ];
+
   // Create the navigation menu.
   function createNavigationMenu(params, data, annotator) {
     var navigationMenu = document.createElement("p"),
@@ -88,6 +235,8 @@ function(Layer, Annotator, util) {
     var container = document.createElement("div"),
         zoomOutButton = document.createElement("div"),
         zoomInButton = document.createElement("div"),
+        fitButton = document.createElement("div"),
+        actualSizeButton = document.createElement("div"),
         spacer1 = document.createElement("span"),
         finerButton = document.createElement("div"),
         boundaryButton = document.createElement("div"),
@@ -106,6 +255,16 @@ function(Layer, Annotator, util) {
     zoomInButton.addEventListener("click", function () {
       annotator.zoomIn();
     });
+    fitButton.appendChild(document.createTextNode("fit"));
+    fitButton.classList.add("edit-image-top-button");
+    fitButton.addEventListener("click", function () {
+      annotator.fit();
+    });
+    actualSizeButton.appendChild(document.createTextNode("1:1"));
+    actualSizeButton.classList.add("edit-image-top-button");
+    actualSizeButton.addEventListener("click", function () {
+      annotator.actualSize();
+    });
     spacer1.className = "edit-image-top-spacer";
     boundaryButton.id = "boundary-button";
     boundaryButton.className = "edit-image-top-button";
@@ -156,6 +315,8 @@ function(Layer, Annotator, util) {
     container.className = "edit-image-top-menu";
     container.appendChild(zoomOutButton);
     container.appendChild(zoomInButton);
+    container.appendChild(fitButton);
+    container.appendChild(actualSizeButton);
     container.appendChild(spacer1);
     container.appendChild(finerButton);
     container.appendChild(boundaryButton);
@@ -192,31 +353,22 @@ function(Layer, Annotator, util) {
   function createSidebar(params, data, annotator) {
     var container = document.createElement("div"),
         labelPicker = createLabelPicker(params, data, annotator),
+        paintOverSelector = createPaintOverSelector(data, annotator),
+        instanceList = createInstanceList(data, annotator),
         spacer1 = document.createElement("div"),
         undoButton = document.createElement("div"),
         redoButton = document.createElement("div"),
         spacer2 = document.createElement("div"),
         denoiseButton = document.createElement("div"),
         spacer3 = document.createElement("div"),
-        superpixelToolButton = document.createElement("div"),
-        spacer4 = document.createElement("div"),
-        polygonToolButton = document.createElement("div"),
-        spacer5 = document.createElement("div"),
-        brushToolButton = document.createElement("div"),
-        spacer6 = document.createElement("div"),
-        manualParagraph = document.createElement("p"),
-        spacer7 = document.createElement("div"),
-        exportButton = document.createElement("input"),
-        manualText;
-    exportButton.type = "submit";
-    exportButton.value = "export";
-    exportButton.className = "edit-sidebar-submit";
-    exportButton.addEventListener("click", function () {
-      var filename = (data.annotationURLs) ?
-          data.annotationURLs[params.id].split(/[\\/]/).pop() :
-          params.id + ".png";
-      downloadURI(annotator.export(), filename);
-    });
+        toolPicker = createToolPicker(annotator),
+        brushMenu = createBrushMenu(annotator),
+        fillMenu = createFillMenu(annotator),
+        wandMenu = createWandMenu(annotator),
+        selectionMenu = createSelectionMenu(annotator),
+        checkpointMenu = createCheckpointMenu(annotator),
+        helpButton = document.createElement("div"),
+        fileMenu = createFileMenu(data, params, annotator);
     spacer1.className = "edit-sidebar-spacer";
     undoButton.className = "edit-sidebar-button";
     undoButton.appendChild(document.createTextNode("undo"));
@@ -230,74 +382,405 @@ function(Layer, Annotator, util) {
     denoiseButton.addEventListener("click", function () {
       annotator.denoise();
     });
-    superpixelToolButton.className = "edit-sidebar-button";
-    superpixelToolButton.appendChild(
-      document.createTextNode("Superpixel tool"));
-    superpixelToolButton.addEventListener("click", function () {
-      polygonToolButton.classList.remove("edit-sidebar-button-selected");
-      brushToolButton.classList.remove("edit-sidebar-button-selected");
-      superpixelToolButton.classList.add("edit-sidebar-button-selected");
-      annotator._setMode("superpixel");
-    });
-    superpixelToolButton.classList.add("edit-sidebar-button-selected");
-    polygonToolButton.className = "edit-sidebar-button";
-    polygonToolButton.appendChild(document.createTextNode("Polygon tool"));
-    polygonToolButton.addEventListener("click", function () {
-      superpixelToolButton.classList.remove("edit-sidebar-button-selected");
-      brushToolButton.classList.remove("edit-sidebar-button-selected");
-      polygonToolButton.classList.add("edit-sidebar-button-selected");
-      annotator._setMode("polygon");
-    });
-
-    brushToolButton.classList.add("edit-sidebar-button-selected");
-    brushToolButton.className = "edit-sidebar-button";
-    brushToolButton.appendChild(document.createTextNode("Brush tool"));
-    brushToolButton.addEventListener("click", function () {
-      superpixelToolButton.classList.remove("edit-sidebar-button-selected");
-      polygonToolButton.classList.remove("edit-sidebar-button-selected");
-      brushToolButton.classList.add("edit-sidebar-button-selected");
-
-      annotator._setMode("brush");
-    });
-
-
     spacer3.className = "edit-sidebar-spacer";
-    manualParagraph.appendChild(document.createTextNode("ctrl: toggle mode"));
-    manualParagraph.appendChild(document.createElement("br"));
-    manualParagraph.appendChild(document.createElement("br"));
-    manualParagraph.appendChild(document.createTextNode("+Superpixel tool:"));
-    manualParagraph.appendChild(document.createElement("br"));
-    manualParagraph.appendChild(document.createTextNode("left: mark"));
-    manualParagraph.appendChild(document.createElement("br"));
-    manualParagraph.appendChild(document.createTextNode("right: pick label"));
-    manualParagraph.appendChild(document.createElement("br"));
-    manualParagraph.appendChild(document.createElement("br"));
-    manualParagraph.appendChild(document.createTextNode("+Polygon tool:"));
-    manualParagraph.appendChild(document.createElement("br"));
-    manualParagraph.appendChild(document.createTextNode("left: draw line"));
-    manualParagraph.appendChild(document.createElement("br"));
-    manualParagraph.appendChild(document.createTextNode("right: abort"));
-    spacer4.className = "edit-sidebar-spacer";
+    helpButton.className = "edit-sidebar-button";
+    helpButton.appendChild(document.createTextNode("help"));
+    helpButton.addEventListener("click", toggleHelpOverlay);
     container.className = "edit-sidebar";
     container.appendChild(labelPicker);
+    container.appendChild(paintOverSelector);
+    if (annotator.instanceMode)
+      container.appendChild(instanceList);
     container.appendChild(spacer1);
     container.appendChild(undoButton);
     container.appendChild(redoButton);
     container.appendChild(spacer2);
     container.appendChild(denoiseButton);
     container.appendChild(spacer3);
-    container.appendChild(polygonToolButton);
-    container.appendChild(superpixelToolButton);
-    container.appendChild(brushToolButton);
-    container.appendChild(manualParagraph);
-    //container.appendChild(spacer4);
+    container.appendChild(toolPicker);
+    container.appendChild(brushMenu);
+    container.appendChild(fillMenu);
+    container.appendChild(wandMenu);
+    container.appendChild(selectionMenu);
+    container.appendChild(checkpointMenu);
+    container.appendChild(helpButton);
+    container.appendChild(fileMenu);
+    return container;
+  }
+
+  // Create the COCO import button, and the export button with the format
+  // selector.
+  function createFileMenu(data, params, annotator) {
+    var container = document.createElement("div"),
+        select = document.createElement("select"),
+        exportButton = document.createElement("input"),
+        importButton = document.createElement("div"),
+        fileInput = document.createElement("input"),
+        filename = (data.annotationURLs) ?
+            data.annotationURLs[params.id].split(/[\\/]/).pop() :
+            params.id + ".png",
+        basename = filename.replace(/\.[^.]*$/, "");
+    for (var i = 0; i < exportFormats.length; ++i) {
+      var option = document.createElement("option");
+      option.value = i;
+      option.appendChild(document.createTextNode(exportFormats[i].title));
+      select.appendChild(option);
+    }
+    exportButton.type = "submit";
+    exportButton.value = "export";
+    exportButton.className = "edit-sidebar-submit";
+    exportButton.addEventListener("click", function () {
+      var format = exportFormats[select.value],
+          uri = format.create(annotator, data, params);
+      if (!uri)
+        return;
+      downloadURI(uri, basename + format.extension);
+      if (uri.indexOf("blob:") === 0)
+        URL.revokeObjectURL(uri);
+    });
+    importButton.className = "edit-sidebar-button";
+    importButton.appendChild(document.createTextNode("import COCO"));
+    importButton.addEventListener("click", function () { fileInput.click(); });
+    fileInput.type = "file";
+    fileInput.accept = ".json,application/json";
+    fileInput.style.display = "none";
+    fileInput.addEventListener("change", function () {
+      var reader = new FileReader();
+      if (!fileInput.files.length)
+        return;
+      reader.onload = function () {
+        var dataset;
+        try {
+          dataset = JSON.parse(reader.result);
+        }
+        catch (error) {
+          window.alert("Invalid JSON: " + error);
+          return;
+        }
+        importCOCO(annotator, dataset, data, params.id);
+      };
+      reader.readAsText(fileInput.files[0]);
+      fileInput.value = "";
+    });
+    container.className = "edit-sidebar-brush-menu";
+    container.appendChild(importButton);
+    container.appendChild(fileInput);
+    container.appendChild(select);
     container.appendChild(exportButton);
     return container;
   }
 
+  function getCOCOOptions(data, params, segmentation) {
+    return {
+      labels: data.labels,
+      fileName: data.imageURLs[params.id].split(/[\\/]/).pop(),
+      segmentation: segmentation
+    };
+  }
+
+  // Create an object URL of JSON to download.
+  function createJSONURL(object) {
+    return URL.createObjectURL(new Blob([JSON.stringify(object)],
+                                        { type: "application/json" }));
+  }
+
+  // Create the tool selector.
+  function createToolPicker(annotator) {
+    var container = document.createElement("div");
+    container.className = "edit-sidebar-tool-picker";
+    toolList.forEach(function (tool) {
+      var toolButton = document.createElement("div");
+      toolButton.id = tool.name + "-tool-button";
+      toolButton.className = "edit-sidebar-button";
+      toolButton.appendChild(document.createTextNode(tool.title));
+      toolButton.addEventListener("click", function () {
+        annotator.setTool(tool.name);
+      });
+      if (tool.name === annotator.getTool())
+        toolButton.classList.add("edit-sidebar-button-selected");
+      container.appendChild(toolButton);
+    });
+    annotator.on("toolchange", function (event) {
+      var className = "edit-sidebar-button-selected",
+          selectedElements = container.getElementsByClassName(className),
+          toolButton = document.getElementById(event.tool + "-tool-button");
+      while (selectedElements.length)
+        selectedElements[0].classList.remove(className);
+      if (toolButton)
+        toolButton.classList.add(className);
+    });
+    return container;
+  }
+
+  // Create the brush size and shape controls.
+  function createBrushMenu(annotator) {
+    var container = document.createElement("div"),
+        smallerButton = document.createElement("div"),
+        sizeText = document.createElement("span"),
+        largerButton = document.createElement("div"),
+        shapeButton = document.createElement("div");
+    function update() {
+      sizeText.textContent = " size " + (2 * annotator.brushRadius + 1) + " ";
+      shapeButton.textContent = annotator.brushShape;
+    }
+    smallerButton.className = "edit-image-top-button";
+    smallerButton.appendChild(document.createTextNode("-"));
+    smallerButton.addEventListener("click", function () {
+      annotator.smallerBrush();
+      update();
+    });
+    largerButton.className = "edit-image-top-button";
+    largerButton.appendChild(document.createTextNode("+"));
+    largerButton.addEventListener("click", function () {
+      annotator.largerBrush();
+      update();
+    });
+    shapeButton.className = "edit-image-top-button";
+    shapeButton.addEventListener("click", function () {
+      annotator.setBrush({
+        shape: (annotator.brushShape === "round") ? "square" : "round"
+      });
+      update();
+    });
+    update();
+    container.className = "edit-sidebar-brush-menu";
+    container.appendChild(smallerButton);
+    container.appendChild(sizeText);
+    container.appendChild(largerButton);
+    container.appendChild(document.createTextNode(" "));
+    container.appendChild(shapeButton);
+    return container;
+  }
+
+  // Create the flood fill connectivity and tolerance controls.
+  function createFillMenu(annotator) {
+    var container = document.createElement("div"),
+        connectivityButton = document.createElement("div"),
+        lessButton = document.createElement("div"),
+        toleranceText = document.createElement("span"),
+        moreButton = document.createElement("div");
+    function update() {
+      connectivityButton.textContent = annotator.fillConnectivity + "-conn";
+      toleranceText.textContent = " tol " + annotator.fillTolerance + " ";
+    }
+    connectivityButton.className = "edit-image-top-button";
+    connectivityButton.addEventListener("click", function () {
+      annotator.fillConnectivity = (annotator.fillConnectivity === 4) ? 8 : 4;
+      update();
+    });
+    lessButton.className = "edit-image-top-button";
+    lessButton.appendChild(document.createTextNode("-"));
+    lessButton.addEventListener("click", function () {
+      annotator.fillTolerance = Math.max(annotator.fillTolerance - 8, 0);
+      update();
+    });
+    moreButton.className = "edit-image-top-button";
+    moreButton.appendChild(document.createTextNode("+"));
+    moreButton.addEventListener("click", function () {
+      annotator.fillTolerance = Math.min(annotator.fillTolerance + 8, 442);
+      update();
+    });
+    update();
+    container.className = "edit-sidebar-brush-menu";
+    container.appendChild(connectivityButton);
+    container.appendChild(document.createTextNode(" "));
+    container.appendChild(lessButton);
+    container.appendChild(toleranceText);
+    container.appendChild(moreButton);
+    return container;
+  }
+
+  // Create the magic wand tolerance controls.
+  function createWandMenu(annotator) {
+    var container = document.createElement("div"),
+        lessButton = document.createElement("div"),
+        toleranceText = document.createElement("span"),
+        moreButton = document.createElement("div");
+    function update() {
+      toleranceText.textContent = " wand " + annotator.wandTolerance + " ";
+    }
+    lessButton.className = "edit-image-top-button";
+    lessButton.appendChild(document.createTextNode("-"));
+    lessButton.addEventListener("click", function () {
+      annotator.wandTolerance = Math.max(annotator.wandTolerance - 2, 0);
+      update();
+    });
+    moreButton.className = "edit-image-top-button";
+    moreButton.appendChild(document.createTextNode("+"));
+    moreButton.addEventListener("click", function () {
+      annotator.wandTolerance += 2;
+      update();
+    });
+    update();
+    container.className = "edit-sidebar-brush-menu";
+    container.appendChild(lessButton);
+    container.appendChild(toleranceText);
+    container.appendChild(moreButton);
+    return container;
+  }
+
+  // Create the buttons to apply or discard the current selection.
+  function createSelectionMenu(annotator) {
+    var container = document.createElement("div"),
+        applyButton = document.createElement("div"),
+        resetButton = document.createElement("div");
+    applyButton.className = "edit-image-top-button";
+    applyButton.appendChild(document.createTextNode("apply"));
+    applyButton.addEventListener("click", function () {
+      if (annotator.getTool() === "polygon")
+        annotator.commitPolygon();
+      else
+        annotator.commitSelection();
+    });
+    resetButton.className = "edit-image-top-button";
+    resetButton.appendChild(document.createTextNode("reset"));
+    resetButton.addEventListener("click", function () {
+      if (annotator.getTool() === "polygon")
+        annotator.cancelPolygon();
+      else
+        annotator.clearSelection();
+    });
+    container.className = "edit-sidebar-brush-menu";
+    container.appendChild(document.createTextNode("selection "));
+    container.appendChild(applyButton);
+    container.appendChild(document.createTextNode(" "));
+    container.appendChild(resetButton);
+    return container;
+  }
+
+  // Create the named checkpoint controls.
+  function createCheckpointMenu(annotator) {
+    var container = document.createElement("div"),
+        saveButton = document.createElement("div"),
+        select = document.createElement("select"),
+        revertButton = document.createElement("div"),
+        diffButton = document.createElement("div"),
+        diffText = document.createElement("span");
+    saveButton.className = "edit-image-top-button";
+    saveButton.appendChild(document.createTextNode("save"));
+    saveButton.addEventListener("click", function () {
+      var name = window.prompt("Checkpoint name");
+      if (!name)
+        return;
+      annotator.createCheckpoint(name);
+      updateCheckpointMenu(annotator);
+      select.value = name;
+    });
+    revertButton.className = "edit-image-top-button";
+    revertButton.appendChild(document.createTextNode("revert"));
+    revertButton.addEventListener("click", function () {
+      if (select.value)
+        annotator.revertToCheckpoint(select.value);
+    });
+    diffButton.className = "edit-image-top-button";
+    diffButton.appendChild(document.createTextNode("diff"));
+    diffButton.addEventListener("click", function () {
+      if (select.value)
+        diffText.textContent = " " +
+            annotator.diffCheckpoint(select.value).pixels.length + " px";
+    });
+    select.id = "checkpoint-select";
+    select.addEventListener("change", function () {
+      diffText.textContent = "";
+    });
+    container.className = "edit-sidebar-brush-menu";
+    container.appendChild(document.createTextNode("checkpoint "));
+    container.appendChild(saveButton);
+    container.appendChild(document.createElement("br"));
+    container.appendChild(select);
+    container.appendChild(document.createTextNode(" "));
+    container.appendChild(revertButton);
+    container.appendChild(document.createTextNode(" "));
+    container.appendChild(diffButton);
+    container.appendChild(diffText);
+    return container;
+  }
+
+  // Refresh the checkpoint names.
+  function updateCheckpointMenu(annotator) {
+    var select = document.getElementById("checkpoint-select");
+    if (!select)
+      return;
+    var value = select.value;
+    while (select.firstChild)
+      select.removeChild(select.firstChild);
+    annotator.getCheckpoints().forEach(function (name) {
+      var option = document.createElement("option");
+      option.value = name;
+      option.appendChild(document.createTextNode(name));
+      select.appendChild(option);
+    });
+    if (value)
+      select.value = value;
+  }
+
+  // The saved undo history is at most 1 MB of runs, about 1.4 MB of JSON.
+  var MAX_SAVED_HISTORY_BYTES = 1024 * 1024,
+      SAVE_HISTORY_DELAY = 1000,
+      saveHistoryTimer = null,
+      isSaveOnLeaveAttached = false,
+      isSaveFailureReported = false;
+
+  // Save the history in the local storage to survive page reload. The saved
+  // undo history is kept small to stay within the storage quota, and a failed
+  // save removes the stale copy so that reload never restores older work.
+  function saveHistory(key, annotator) {
+    try {
+      window.localStorage.setItem(key, JSON.stringify(
+          annotator.serializeHistory({ maxBytes: MAX_SAVED_HISTORY_BYTES })));
+    }
+    catch (e) {
+      window.localStorage.removeItem(key);
+      if (!isSaveFailureReported)
+        window.alert("Failed to save the history in the browser. " +
+                     "Export the annotation to keep your work: " + e);
+      isSaveFailureReported = true;
+    }
+  }
+
+  // Save the history after changes stop, e.g., at the end of a stroke.
+  function scheduleSaveHistory(key, annotator) {
+    window.clearTimeout(saveHistoryTimer);
+    saveHistoryTimer = window.setTimeout(function () {
+      saveHistoryTimer = null;
+      saveHistory(key, annotator);
+    }, SAVE_HISTORY_DELAY);
+    if (!isSaveOnLeaveAttached) {
+      window.addEventListener("pagehide", function () {
+        if (saveHistoryTimer !== null) {
+          window.clearTimeout(saveHistoryTimer);
+          saveHistoryTimer = null;
+          saveHistory(key, annotator);
+        }
+      });
+      isSaveOnLeaveAttached = true;
+    }
+  }
+
+  // Restore the history saved by saveHistory().
+  function loadHistory(key, annotator) {
+    var state = null;
+    try {
+      state = JSON.parse(window.localStorage.getItem(key));
+      if (state)
+        annotator.restoreHistory(state);
+    }
+    catch (e) {
+      window.localStorage.removeItem(key);
+      window.alert("Failed to restore the saved history: " + e);
+    }
+    updateCheckpointMenu(annotator);
+  }
+
   function createLabelButton(data, value, index, annotator) {
     var colorBox = document.createElement("span"),
         labelText = document.createElement("span"),
+        lockToggle = createLabelToggle("L", "lock", function (enabled) {
+          annotator.setLabelLocked(index, enabled);
+        }),
+        hideToggle = createLabelToggle("H", "hide", function (enabled) {
+          annotator.setLabelHidden(index, enabled);
+        }),
         pickButton = document.createElement("div"),
         popupButton = document.createElement("div"),
         popupContainer = document.createElement("div");
@@ -320,16 +803,19 @@ function(Layer, Annotator, util) {
     });
     pickButton.appendChild(colorBox);
     pickButton.appendChild(labelText);
+    pickButton.appendChild(lockToggle);
+    pickButton.appendChild(hideToggle);
     pickButton.appendChild(popupButton);
     pickButton.appendChild(popupContainer);
     pickButton.id = "label-" + index + "-button";
     pickButton.className = "edit-sidebar-button";
     pickButton.addEventListener("click", function () {
       var className = "edit-sidebar-button-selected";
-      annotator.currentLabel = index;
-      var selectedElements = document.getElementsByClassName(className);
-      for (var i = 0; i < selectedElements.length; ++i)
-        selectedElements[i].classList.remove(className);
+      annotator.setLabel(index);
+      var selectedElements =
+          pickButton.parentNode.getElementsByClassName(className);
+      while (selectedElements.length)
+        selectedElements[0].classList.remove(className);
       pickButton.classList.add(className);
     });
     pickButton.addEventListener('mouseenter', function () {
@@ -343,23 +829,20 @@ function(Layer, Annotator, util) {
     return pickButton;
   }
 
-    // Write the brush tool
-  Annotator.prototype.brush = function (pos, label) {
-    var offsets = [], labels = [];
-    for (var y = -2; y <= 2; y++) {
-      for (var x = -2; x <= 2; x++) {
-        // it is circle bitches
-        if ((x*x + y*y) > 7) continue;
-        var offset = 4 * ((pos[1]+y) * this.layers.visualization.canvas.width + (pos[0]+x));
-        offsets.push(offset);
-        labels.push(label);
-      }
-    }
-    this._updateAnnotation(offsets, labels);
-    this.layers.visualization.render();
-    if (typeof this.onchange === "function")
-      this.onchange.call(this);
-  };
+  // Create an on/off icon in the label row.
+  function createLabelToggle(text, title, callback) {
+    var toggle = document.createElement("span"),
+        enabledClass = "edit-sidebar-label-toggle-enabled";
+    toggle.className = "edit-sidebar-label-toggle";
+    toggle.title = title;
+    toggle.appendChild(document.createTextNode(text));
+    toggle.addEventListener("click", function (event) {
+      toggle.classList.toggle(enabledClass);
+      callback(toggle.classList.contains(enabledClass));
+      event.stopPropagation();
+    });
+    return toggle;
+  }
 
   // Hightlight legend labels.
   function highlightLabel(label) {
@@ -379,7 +862,7 @@ function(Layer, Annotator, util) {
     for (var i = 0; i < data.labels.length; ++i) {
       var labelButton = createLabelButton(data, data.labels[i], i, annotator);
       if (i === 0) {
-        annotator.currentLabel = 0;
+        annotator.setLabel(0);
         labelButton.classList.add("edit-sidebar-button-selected");
       }
       container.appendChild(labelButton);
@@ -388,6 +871,98 @@ function(Layer, Annotator, util) {
     return container;
   }
 
+  // Create the selector to restrict painting over a label.
+  function createPaintOverSelector(data, annotator) {
+    var container = document.createElement("div"),
+        select = document.createElement("select"),
+        anyOption = document.createElement("option");
+    anyOption.value = "";
+    anyOption.appendChild(document.createTextNode("any label"));
+    select.appendChild(anyOption);
+    for (var i = 0; i < data.labels.length; ++i) {
+      var option = document.createElement("option");
+      option.value = i;
+      option.appendChild(document.createTextNode(data.labels[i]));
+      select.appendChild(option);
+    }
+    select.addEventListener("change", function (event) {
+      var value = event.target.value;
+      annotator.setPaintOverLabels((value === "") ?
+                                   null : [parseInt(value, 10)]);
+    });
+    container.className = "edit-sidebar-brush-menu";
+    container.appendChild(document.createTextNode("paint over "));
+    container.appendChild(select);
+    return container;
+  }
+
+  // Start a new instance, or tell that no instance id is left.
+  function startNewInstance(annotator) {
+    try {
+      annotator.newInstance();
+    }
+    catch (error) {
+      window.alert(String(error));
+    }
+  }
+
+  // Create the instance list with the new instance button.
+  function createInstanceList(data, annotator) {
+    var container = document.createElement("div"),
+        newInstanceButton = document.createElement("div"),
+        list = document.createElement("div");
+    newInstanceButton.className = "edit-sidebar-button";
+    newInstanceButton.appendChild(document.createTextNode("new instance"));
+    newInstanceButton.addEventListener("click", function () {
+      startNewInstance(annotator);
+      updateInstanceList(data, annotator);
+    });
+    list.id = "instance-list";
+    container.className = "edit-sidebar-instance-list";
+    container.appendChild(newInstanceButton);
+    container.appendChild(list);
+    return container;
+  }
+
+  // Refresh the instance list from the annotation.
+  function updateInstanceList(data, annotator) {
+    var list = document.getElementById("instance-list");
+    if (!list)
+      return;
+    while (list.firstChild)
+      list.removeChild(list.firstChild);
+    var instances = annotator.getInstances(),
+        isCurrentUsed = instances.some(function (item) {
+          return item.instance === annotator.currentInstance;
+        });
+    if (!isCurrentUsed)
+      instances.push({
+        label: annotator.currentLabel,
+        instance: annotator.currentInstance
+      });
+    instances.forEach(function (item) {
+      var instanceButton = document.createElement("div"),
+          colorBox = document.createElement("span"),
+          text = data.labels[item.label] + " #" + item.instance +
+                 ((item.instance === annotator.currentInstance &&
+                   !isCurrentUsed) ? " (new)" : "");
+      colorBox.className = "edit-sidebar-legend-colorbox";
+      colorBox.style.backgroundColor =
+          "rgb(" + data.colormap[item.label].join(",") + ")";
+      instanceButton.className = "edit-sidebar-button";
+      if (item.instance === annotator.currentInstance)
+        instanceButton.classList.add("edit-sidebar-button-selected");
+      instanceButton.appendChild(colorBox);
+      instanceButton.appendChild(document.createTextNode(" " + text));
+      instanceButton.addEventListener("click", function () {
+        document.getElementById("label-" + item.label + "-button").click();
+        annotator.setInstance(item.instance);
+        updateInstanceList(data, annotator);
+      });
+      list.appendChild(instanceButton);
+    });
+  }
+
   // Cancel popup.
   function cancelPopup(event) {
     var isOutsidePopup = true,
@@ -436,6 +1011,159 @@ function(Layer, Annotator, util) {
     return select;
   }
 
+  // Create the keyboard shortcuts. Bindings in the dataset and the options
+  // override the defaults, e.g., { "undo": ["ctrl+z", "u"], "zoomIn": null }.
+  function createKeymap(data, annotator, options) {
+    var bindings = {},
+        name,
+        i;
+    for (name in data.keymap || {})
+      bindings[name] = data.keymap[name];
+    for (name in options.keymap || {})
+      bindings[name] = options.keymap[name];
+    var keymap = new Keymap(bindings);
+    keymap.addAction("help", {
+      description: "toggle help",
+      keys: ["?"],
+      onpress: toggleHelpOverlay
+    });
+    for (i = 0; i < Math.min(data.labels.length, 10); ++i)
+      keymap.addAction("label" + i, {
+        description: "label " + data.labels[i],
+        keys: [String(i)],
+        onpress: (function (label) {
+          return function () {
+            document.getElementById("label-" + label + "-button").click();
+          };
+        })(i)
+      });
+    keymap.addAction("undo", {
+      description: "undo",
+      keys: ["ctrl+z"],
+      onpress: function () { annotator.undo(); }
+    });
+    keymap.addAction("redo", {
+      description: "redo",
+      keys: ["ctrl+shift+z"],
+      onpress: function () { annotator.redo(); }
+    });
+    keymap.addAction("finer", {
+      description: "finer superpixels",
+      keys: ["["],
+      onpress: function () {
+        annotator.finer();
+        boundaryFlash();
+      }
+    });
+    keymap.addAction("coarser", {
+      description: "coarser superpixels",
+      keys: ["]"],
+      onpress: function () {
+        annotator.coarser();
+        boundaryFlash();
+      }
+    });
+    keymap.addAction("zoomIn", {
+      description: "zoom in",
+      keys: ["+"],
+      onpress: function () { annotator.zoomIn(); }
+    });
+    keymap.addAction("zoomOut", {
+      description: "zoom out",
+      keys: ["-"],
+      onpress: function () { annotator.zoomOut(); }
+    });
+    keymap.addAction("fit", {
+      description: "fit to view",
+      keys: ["shift+f"],
+      onpress: function () { annotator.fit(); }
+    });
+    keymap.addAction("actualSize", {
+      description: "1:1 pixels",
+      keys: ["shift+a"],
+      onpress: function () { annotator.actualSize(); }
+    });
+    keymap.addAction("boundary", {
+      description: "toggle boundary",
+      keys: ["b"],
+      onpress: function () {
+        document.getElementById("boundary-button").click();
+      }
+    });
+    keymap.addAction("hideVisualization", {
+      description: "hold to hide labels",
+      keys: ["h"],
+      onpress: function () { annotator.hide("visualization"); },
+      onrelease: function () { annotator.show("visualization"); }
+    });
+    toolList.forEach(function (tool) {
+      keymap.addAction(tool.name + "Tool", {
+        description: tool.title,
+        keys: [tool.key],
+        onpress: function () { annotator.setTool(tool.name); }
+      });
+    });
+    return keymap;
+  }
+
+  // Create the help of the shortcuts and the mouse usage of tools.
+  function createHelpOverlay(keymap) {
+    var container = document.createElement("div"),
+        content = document.createElement("div"),
+        keyList = document.createElement("dl"),
+        sections = [{ title: "Navigation", usage: navigationUsage }]
+                   .concat(toolList);
+    keymap.getHelp().forEach(function (item) {
+      var term = document.createElement("dt"),
+          description = document.createElement("dd");
+      term.appendChild(document.createTextNode(item.keys.join(", ")));
+      description.appendChild(document.createTextNode(item.description));
+      keyList.appendChild(term);
+      keyList.appendChild(description);
+    });
+    content.className = "edit-help-content";
+    content.appendChild(keyList);
+    sections.forEach(function (section) {
+      var paragraph = document.createElement("p");
+      paragraph.appendChild(
+          document.createTextNode("+" + section.title + ":"));
+      section.usage.forEach(function (line) {
+        paragraph.appendChild(document.createElement("br"));
+        paragraph.appendChild(document.createTextNode(line));
+      });
+      content.appendChild(paragraph);
+    });
+    container.id = "help-overlay";
+    container.className = "edit-help-overlay";
+    container.appendChild(content);
+    container.addEventListener("click", toggleHelpOverlay);
+    return container;
+  }
+
+  function toggleHelpOverlay() {
+    document.getElementById("help-overlay")
+            .classList.toggle("edit-help-overlay-active");
+  }
+
+  // Import the COCO annotations of the image, and tell the categories without
+  // a label.
+  function importCOCO(annotator, dataset, data, id, onload) {
+    var unmatched;
+    try {
+      unmatched = annotator.importCOCO(dataset, {
+        labels: data.labels,
+        fileName: data.imageURLs[id],
+        onload: onload
+      });
+    }
+    catch (error) {
+      window.alert("Failed to import COCO annotations: " + error);
+      return;
+    }
+    if (unmatched.length > 0)
+      window.alert("No label for the categories: " + unmatched.join(", "));
+  }
+
   // Download trick.
   function downloadURI(uri, filename) {
     var anchor = document.createElement("a");
@@ -449,18 +1177,40 @@ function(Layer, Annotator, util) {
   }
 
   // Entry point.
-  function render(data, params) {
+  function render(data, params, options) {
+    options = options || {};
     var id = parseInt(params.id, 10);
     if (isNaN(id))
       throw("Invalid id");
-    var annotator = new Annotator(data.imageURLs[id], {
+    var historyKey = "segment-annotator-history:" + data.imageURLs[id],
+        isHistoryLoaded = false,
+        annotator = new Annotator(data.imageURLs[id], {
           width: params.width,
           height: params.height,
           colormap: data.colormap,
+          instanceMode: data.instanceMode,
+          tileSize: data.tileSize,
           superpixelOptions: { method: "slic", regionSize: 25 },
           onload: function () {
+            function onImport() {
+              loadHistory(historyKey, this);
+              isHistoryLoaded = true;
+              if (this.instanceMode)
+                startNewInstance(this);
+            }
             if (data.annotationURLs)
-              annotator.import(data.annotationURLs[id]);
+              annotator.import(data.annotationURLs[id], {
+                format: data.annotationFormat,
+                onload: onImport
+              });
+            else if (data.cocoURL)
+              util.requestJSON(data.cocoURL, function (dataset) {
+                importCOCO(annotator, dataset, data, id, onImport);
+              });
+            else {
+              loadHistory(historyKey, annotator);
+              isHistoryLoaded = true;
+            }
             annotator.hide("boundary");
             boundaryFlash();
           },
@@ -474,21 +1224,34 @@ function(Layer, Annotator, util) {
               elements[i].classList.remove(legendActiveClass);
             for (i = 0; i < activeLabels.length; ++i)
               elements[activeLabels[i]].classList.add(legendActiveClass);
+            updateInstanceList(data, this);
+            if (isHistoryLoaded)
+              scheduleSaveHistory(historyKey, this);
           },
           onrightclick: function (label) {
             document.getElementById("label-" + label + "-button").click();
+            updateInstanceList(data, this);
           },
           onmousemove: highlightLabel
         }),
         imageLayer = new Layer(data.imageURLs[id], {
           width: params.width,
           height: params.height
-        });
+        }),
+        keymap = createKeymap(data, annotator, options);
+    annotator.on("superpixelserror", function (event) {
+      window.alert("Failed to compute superpixels: " + event.message);
+    });
+    annotator.on("exporterror", function (event) {
+      window.alert("Failed to export: " + event.message);
+    });
     document.body.appendChild(createNavigationMenu(params, data, annotator));
     document.body.appendChild(createMainDisplay(params,
                                                 data,
                                                 annotator,
                                                 imageLayer));
+    document.body.appendChild(createHelpOverlay(keymap));
+    keymap.attach(window);
   }
 
   return render;
@@ -0,0 +1,255 @@
+/** Undo history of label edits.
+ *
+ *  var history = new History({ maxBytes: 64 * 1024 * 1024 });
+ *  history.push({ pixels: [0, 4, 8], prev: [0, 0, 1], next: [2, 2, 2] });
+ *  var record = history.undo();  // { pixels: Int32Array, labels: Int32Array }
+ *  record = history.redo();
+ *  var state = JSON.stringify(history.serialize({ maxBytes: 1024 * 1024 }));
+ *  history.deserialize(JSON.parse(state));
+ *
+ * Pixels are RGBA offsets as in ImageData. Each record is stored as runs of
+ * consecutive pixels sharing the previous and the next label, in typed
+ * arrays. The oldest records are dropped when the total size exceeds
+ * `maxBytes` or the number of records exceeds `maxRecords`.
+ *
+ * History.encodeLabels() and History.decodeLabels() compress a full label
+ * image in the same way for snapshots.
+ */
+define(function () {
+  var BYTES_PER_RUN = 16;
+
+  function History(options) {
+    options = options || {};
+    this.maxBytes = options.maxBytes || 64 * 1024 * 1024;
+    this.maxRecords = options.maxRecords || Infinity;
+    this.clear();
+  }
+
+  History.prototype.clear = function () {
+    this.records = [];
+    this.current = -1;
+    this.bytes = 0;
+    return this;
+  };
+
+  // Add a record of updates, discarding the records ahead of the current.
+  History.prototype.push = function (updates) {
+    while (this.records.length > this.current + 1)
+      this.bytes -= this.records.pop().bytes;
+    var record = encodeRecord(updates);
+    this.records.push(record);
+    this.bytes += record.bytes;
+    ++this.current;
+    while (this.records.length > 1 &&
+           (this.bytes > this.maxBytes ||
+            this.records.length > this.maxRecords)) {
+      this.bytes -= this.records.shift().bytes;
+      --this.current;
+    }
+    return this;
+  };
+
+  History.prototype.canUndo = function () {
+    return this.current >= 0;
+  };
+
+  History.prototype.canRedo = function () {
+    return this.current < this.records.length - 1;
+  };
+
+  // Step back and get the pixels with their previous labels, or null.
+  History.prototype.undo = function () {
+    if (!this.canUndo())
+      return null;
+    return decodeRecord(this.records[this.current--], false);
+  };
+
+  // Step forward and get the pixels with their next labels, or null.
+  History.prototype.redo = function () {
+    if (!this.canRedo())
+      return null;
+    return decodeRecord(this.records[++this.current], true);
+  };
+
+  // Get a JSON-compatible object of the records. With options.maxBytes, the
+  // oldest records, then the records to redo, are left out to fit the size.
+  History.prototype.serialize = function (options) {
+    options = options || {};
+    var maxBytes = options.maxBytes || this.maxBytes,
+        bytes = this.bytes,
+        start = 0,
+        end = this.records.length;
+    while (start < end && bytes > maxBytes) {
+      if (start <= this.current)
+        bytes -= this.records[start++].bytes;
+      else
+        bytes -= this.records[--end].bytes;
+    }
+    return {
+      current: this.current - start,
+      records: this.records.slice(start, end).map(function (record) {
+        return {
+          size: record.size,
+          starts: encodeBase64(record.starts),
+          lengths: encodeBase64(record.lengths),
+          prev: encodeBase64(record.prev),
+          next: encodeBase64(record.next)
+        };
+      })
+    };
+  };
+
+  // Restore the records from the serialize() output.
+  History.prototype.deserialize = function (data) {
+    if (!data || !Array.isArray(data.records) ||
+        data.current < -1 || data.current >= data.records.length)
+      throw "Invalid history data";
+    this.clear();
+    this.records = data.records.map(function (record) {
+      var starts = decodeBase64(record.starts);
+      return {
+        size: record.size,
+        starts: starts,
+        lengths: decodeBase64(record.lengths),
+        prev: decodeBase64(record.prev),
+        next: decodeBase64(record.next),
+        bytes: BYTES_PER_RUN * starts.length
+      };
+    });
+    this.current = data.current;
+    for (var i = 0; i < this.records.length; ++i)
+      this.bytes += this.records[i].bytes;
+    return this;
+  };
+
+  // Run-length encode an array of labels into a JSON-compatible object.
+  History.encodeLabels = function (labels) {
+    var values = new Uint32Array(labels.length),
+        lengths = new Uint32Array(labels.length),
+        numRuns = 0;
+    for (var i = 0; i < labels.length; ++i) {
+      if (numRuns > 0 && values[numRuns - 1] === labels[i])
+        ++lengths[numRuns - 1];
+      else {
+        values[numRuns] = labels[i];
+        lengths[numRuns++] = 1;
+      }
+    }
+    return {
+      size: labels.length,
+      values: encodeBase64(values.slice(0, numRuns)),
+      lengths: encodeBase64(lengths.slice(0, numRuns))
+    };
+  };
+
+  // Expand the encodeLabels() output into Uint32Array.
+  History.decodeLabels = function (data) {
+    var labels = new Uint32Array(data.size),
+        values = decodeBase64(data.values),
+        lengths = decodeBase64(data.lengths),
+        k = 0;
+    for (var i = 0; i < values.length; ++i) {
+      if (k + lengths[i] > labels.length)
+        throw "Invalid label data";
+      for (var j = 0; j < lengths[i]; ++j)
+        labels[k++] = values[i];
+    }
+    return labels;
+  };
+
+  // Uint32Array to a base64 string.
+  function encodeBase64(array) {
+    var bytes = new Uint8Array(array.buffer, array.byteOffset,
+                               array.byteLength),
+        chunks = [],
+        chunkSize = 0x8000;
+    for (var i = 0; i < bytes.length; i += chunkSize)
+      chunks.push(String.fromCharCode.apply(
+          null, bytes.subarray(i, i + chunkSize)));
+    return btoa(chunks.join(""));
+  }
+
+  // A base64 string to Uint32Array.
+  function decodeBase64(string) {
+    var binary = atob(string),
+        bytes = new Uint8Array(binary.length);
+    if (bytes.length % 4 !== 0)
+      throw "Invalid base64 data";
+    for (var i = 0; i < binary.length; ++i)
+      bytes[i] = binary.charCodeAt(i);
+    return new Uint32Array(bytes.buffer);
+  }
+
+  // Sort the pixel order when necessary.
+  function getSortedOrder(pixels) {
+    var order = new Uint32Array(pixels.length),
+        isSorted = true,
+        i;
+    for (i = 0; i < order.length; ++i) {
+      order[i] = i;
+      if (i > 0 && pixels[i - 1] > pixels[i])
+        isSorted = false;
+    }
+    if (!isSorted)
+      order = Array.prototype.slice.call(order).sort(function (a, b) {
+        return pixels[a] - pixels[b] || a - b;
+      });
+    return order;
+  }
+
+  function encodeRecord(updates) {
+    var pixels = updates.pixels,
+        order = getSortedOrder(pixels),
+        starts = new Uint32Array(pixels.length),
+        lengths = new Uint32Array(pixels.length),
+        prev = new Uint32Array(pixels.length),
+        next = new Uint32Array(pixels.length),
+        numRuns = 0;
+    for (var i = 0; i < order.length; ++i) {
+      var k = order[i],
+          index = pixels[k] / 4,
+          last = numRuns - 1;
+      if (numRuns > 0 &&
+          starts[last] + lengths[last] === index &&
+          prev[last] === updates.prev[k] &&
+          next[last] === updates.next[k]) {
+        ++lengths[last];
+      }
+      else {
+        starts[numRuns] = index;
+        lengths[numRuns] = 1;
+        prev[numRuns] = updates.prev[k];
+        next[numRuns] = updates.next[k];
+        ++numRuns;
+      }
+    }
+    return {
+      size: pixels.length,
+      starts: starts.slice(0, numRuns),
+      lengths: lengths.slice(0, numRuns),
+      prev: prev.slice(0, numRuns),
+      next: next.slice(0, numRuns),
+      bytes: BYTES_PER_RUN * numRuns
+    };
+  }
+
+  // Expand runs. Undo walks backward so that the earliest label of a pixel
+  // changed twice in a record wins.
+  function decodeRecord(record, isForward) {
+    var pixels = new Int32Array(record.size),
+        labels = new Int32Array(record.size),
+        values = (isForward) ? record.next : record.prev,
+        numRuns = record.starts.length,
+        k = 0;
+    for (var i = 0; i < numRuns; ++i) {
+      var run = (isForward) ? i : numRuns - 1 - i;
+      for (var j = 0; j < record.lengths[run]; ++j) {
+        pixels[k] = 4 * (record.starts[run] + j);
+        labels[k++] = values[run];
+      }
+    }
+    return { pixels: pixels, labels: labels };
+  }
+
+  return History;
+});
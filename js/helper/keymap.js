@@ -0,0 +1,196 @@
+/** Keyboard shortcuts.
+ *
+ *  var keymap = new Keymap({ undo: ["ctrl+z", "alt+backspace"] });
+ *  keymap.addAction("undo", {
+ *    description: "undo",
+ *    keys: ["ctrl+z"],
+ *    onpress: function () { annotator.undo(); }
+ *  });
+ *  keymap.addAction("hide", {
+ *    description: "hide while pressed",
+ *    keys: ["space"],
+ *    onpress: function () { annotator.hide("visualization"); },
+ *    onrelease: function () { annotator.show("visualization"); }
+ *  });
+ *  keymap.attach(window);
+ *  keymap.getHelp();  // [{ keys: ["ctrl+z"], description: "undo" }, ...]
+ *
+ * The constructor takes bindings that override the default keys of actions.
+ * A key is written as modifiers and a key name joined by "+", such as
+ * "ctrl+shift+z", "space", "[", or "+". Shift is implied for symbols, and the
+ * command key counts as ctrl. Keys in text inputs are ignored.
+ */
+define(function () {
+  var MODIFIERS = ["ctrl", "alt", "shift"];
+
+  function Keymap(bindings) {
+    this.bindings = {};
+    for (var name in bindings || {})
+      this.bind(name, bindings[name]);
+    this.actions = {};
+    this.actionNames = [];
+    this.pressed = {};
+    this.listeners = null;
+  }
+
+  // Register an action. Bindings given to the constructor take precedence
+  // over action.keys.
+  Keymap.prototype.addAction = function (name, action) {
+    if (typeof action.onpress !== "function")
+      throw "Invalid action: " + name;
+    if (!this.actions.hasOwnProperty(name))
+      this.actionNames.push(name);
+    this.actions[name] = action;
+    return this;
+  };
+
+  // Set the keys of the action. Null or an empty array disables it.
+  Keymap.prototype.bind = function (name, keys) {
+    this.bindings[name] = [].concat(keys || []).map(normalizeKey);
+    return this;
+  };
+
+  Keymap.prototype.getKeys = function (name) {
+    if (this.bindings.hasOwnProperty(name))
+      return this.bindings[name];
+    var action = this.actions[name];
+    return (action) ? [].concat(action.keys || []).map(normalizeKey) : [];
+  };
+
+  // Get the bound keys and the description of each action.
+  Keymap.prototype.getHelp = function () {
+    var help = [];
+    for (var i = 0; i < this.actionNames.length; ++i) {
+      var name = this.actionNames[i],
+          keys = this.getKeys(name);
+      if (keys.length > 0)
+        help.push({
+          name: name,
+          keys: keys,
+          description: this.actions[name].description || name
+        });
+    }
+    return help;
+  };
+
+  Keymap.prototype.findAction = function (key) {
+    for (var i = 0; i < this.actionNames.length; ++i) {
+      if (this.getKeys(this.actionNames[i]).indexOf(key) >= 0)
+        return this.actionNames[i];
+    }
+    return null;
+  };
+
+  // Run the action of the key. Returns true when the key is bound.
+  Keymap.prototype.handleKeydown = function (event) {
+    if (isTextInput(event.target))
+      return false;
+    var key = Keymap.getKeyName(event),
+        name = this.findAction(key);
+    if (!name)
+      return false;
+    var action = this.actions[name];
+    event.preventDefault();
+    if (typeof action.onrelease === "function") {
+      if (this.pressed.hasOwnProperty(name))
+        return true;
+      this.pressed[name] = key;
+    }
+    action.onpress.call(this, event);
+    return true;
+  };
+
+  // Release the held actions of the key regardless of modifiers.
+  Keymap.prototype.handleKeyup = function (event) {
+    var baseKey = getBaseKey(Keymap.getKeyName(event));
+    for (var name in this.pressed) {
+      if (getBaseKey(this.pressed[name]) === baseKey)
+        this.release(name, event);
+    }
+    return this;
+  };
+
+  // Release all or the specified held action.
+  Keymap.prototype.release = function (name, event) {
+    if (name === undefined) {
+      for (name in this.pressed)
+        this.release(name, event);
+      return this;
+    }
+    if (!this.pressed.hasOwnProperty(name))
+      return this;
+    delete this.pressed[name];
+    this.actions[name].onrelease.call(this, event);
+    return this;
+  };
+
+  // Listen to the keyboard events of the target, usually window.
+  Keymap.prototype.attach = function (target) {
+    var keymap = this;
+    this.detach();
+    this.listeners = {
+      target: target,
+      keydown: function (event) { keymap.handleKeydown(event); },
+      keyup: function (event) { keymap.handleKeyup(event); },
+      blur: function (event) { keymap.release(undefined, event); }
+    };
+    target.addEventListener("keydown", this.listeners.keydown);
+    target.addEventListener("keyup", this.listeners.keyup);
+    target.addEventListener("blur", this.listeners.blur);
+    return this;
+  };
+
+  Keymap.prototype.detach = function () {
+    var listeners = this.listeners;
+    if (!listeners)
+      return this;
+    listeners.target.removeEventListener("keydown", listeners.keydown);
+    listeners.target.removeEventListener("keyup", listeners.keyup);
+    listeners.target.removeEventListener("blur", listeners.blur);
+    this.listeners = null;
+    this.release();
+    return this;
+  };
+
+  // Get the key name of a keyboard event in the binding notation.
+  Keymap.getKeyName = function (event) {
+    var key = (event.key === " ") ? "space" : (event.key || "").toLowerCase(),
+        isSymbol = key.length === 1 && key.toUpperCase() === key,
+        modifiers = [];
+    if (event.ctrlKey || event.metaKey)
+      modifiers.push("ctrl");
+    if (event.altKey)
+      modifiers.push("alt");
+    if (event.shiftKey && !isSymbol)
+      modifiers.push("shift");
+    return modifiers.concat(key).join("+");
+  };
+
+  // Lowercase and sort modifiers, e.g., "Shift+Ctrl+Z" to "ctrl+shift+z".
+  function normalizeKey(key) {
+    var parts = String(key).toLowerCase().split("+"),
+        name = parts.pop();
+    if (name === "") {
+      name = "+";
+      parts.pop();
+    }
+    parts = parts.map(function (part) {
+      return (part === "meta" || part === "cmd") ? "ctrl" : part;
+    });
+    return MODIFIERS.filter(function (modifier) {
+      return parts.indexOf(modifier) >= 0;
+    }).concat(name).join("+");
+  }
+
+  function getBaseKey(key) {
+    return (key === "+" || key.slice(-2) === "++") ?
+           "+" : key.split("+").pop();
+  }
+
+  function isTextInput(target) {
+    return !!target && (target.isContentEditable ||
+        /^(INPUT|SELECT|TEXTAREA)$/.test(target.tagName || ""));
+  }
+
+  return Keymap;
+});
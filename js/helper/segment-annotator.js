@@ -10,12 +10,37 @@
  * });
  * document.body.appendChild(annotator.container);
  *
+ * annotator.on("change", function (event) {
+ *   console.log(event.action, event.pixels, event.labels);
+ * });
+ *
+ * annotator.setTool("brush");
+ * annotator.destroy();  // Remove the listeners on the window when done.
+ *
+ * Custom tools are added by SegmentAnnotator.registerTool(name, tool); see
+ * the tool registry below for the handlers.
+ *
+ * Events are change, leftclick, rightclick, mousemove, highlight, toolchange,
+ * labelchange, zoom, superpixelsprogress, superpixelsreset, superpixelserror,
+ * beforeexport, and exporterror. Handlers are called with the annotator as
+ * this and an event object with the type.
+ *
  * Copyright 2015  Kota Yamaguchi
  */
 define(['../image/layer',
-        '../image/segmentation',
-        '../image/morph'],
-function (Layer, segmentation, morph) {
+        '../image/coco',
+        '../image/png',
+        '../image/vector',
+        '../image/morph',
+        '../image/flood-fill',
+        '../image/color',
+        '../image/grabcut',
+        '../image/live-wire',
+        './history',
+        './segmentation-worker',
+        './util'],
+function (Layer, coco, png, vector, morph, floodFill, colorspace, grabcut,
+          LiveWire, History, SegmentationWorker, util) {
   // Segment annotator.
   function Annotator(imageURL, options) {
     options = options || {};
@@ -29,18 +54,49 @@ function (Layer, segmentation, morph) {
     this.highlightAlpha = options.highlightAlpha ||
                           Math.min(255, this.visualizationAlpha + 128);
     this.currentZoom = 1.0;
+    this.tileSize = options.tileSize || 0;
+    this.viewOffset = [0, 0];
+    this.panDrag = null;
+    this.isSpacePressed = false;
     this.defaultLabel = options.defaultLabel || 0;
-    this.maxHistoryRecord = options.maxHistoryRecord || 10;
+    this.brushRadius = (options.brushRadius === undefined) ?
+                       2 : options.brushRadius;
+    this.brushShape = options.brushShape || "round";
+    this.penPressure = (options.penPressure === undefined) ?
+                       true : options.penPressure;
+    this.pointerPressure = null;
+    this.fillConnectivity = options.fillConnectivity || 4;
+    this.fillTolerance = options.fillTolerance || 0;
+    this.wandTolerance = options.wandTolerance || 10;
+    this.grabcutGraph = options.grabcutGraph || "superpixel";
+    this.paintOverLabels = options.paintOverLabels || null;
+    this.protectedLabels = options.protectedLabels || [];
+    this.hiddenLabels = options.hiddenLabels || [];
+    this.instanceMode = options.instanceMode || false;
+    this.currentInstance = (this.instanceMode) ? 1 : 0;
     this.onchange = options.onchange || null;
     this.onrightclick = options.onrightclick || null;
     this.onleftclick = options.onleftclick || null;
     this.onhighlight = options.onhighlight || null;
     this.onmousemove = options.onmousemove || null;
+    this.listeners = {};
     this._createLayers(options);
     this._initializeHistory(options);
     this.mode = "superpixel";
     this.polygonPoints = [];
-    this.prevAnnotationImg = null;
+    this.polygonClosed = false;
+    this.polygonDrag = null;
+    this.currentStroke = null;
+    this.selection = null;
+    this.selectionMask = null;
+    this.segmentation = null;
+    this.pixelIndex = [];
+    this.grabcutState = null;
+    this.grabcutDrag = null;
+    this.liveWire = null;
+    this.liveWirePoints = [];
+    this.shapeDrag = null;
+    this.windowListeners = null;
     var annotator = this;
     this.layers.image.load(imageURL, {
       width: options.width,
@@ -50,52 +106,216 @@ function (Layer, segmentation, morph) {
     });
   }
 
-  // Run superpixel segmentation.
+  // Run superpixel segmentation in a Web Worker, unless options.worker is
+  // false. The current superpixels stay in use until the result arrives. A
+  // failure emits superpixelserror and calls options.onerror.
   Annotator.prototype.resetSuperpixels = function (options) {
-    options = options || {};
-    this.layers.superpixel.copy(this.layers.image);
-    this.segmentation = segmentation.create(this.layers.image.imageData,
-                                            options);
-    this._updateSuperpixels(options);
+    var settings = { tileSize: this.tileSize || undefined },
+        onerror = (options || {}).onerror,
+        annotator = this;
+    for (var key in options || {})
+      settings[key] = options[key];
+    settings.onprogress = function (progress) {
+      annotator._updateBusyIndicator(progress);
+    };
+    // Without a worker, onload is called before the constructor returns, so
+    // the result comes from the caller rather than this.segmentation.
+    settings.onload = function () {
+      annotator._updateBusyIndicator(null);
+      annotator._updateSuperpixels(this.result);
+    };
+    settings.onerror = function (message) {
+      annotator._updateBusyIndicator(null);
+      annotator._emit("superpixelserror", { message: message });
+      if (typeof onerror === "function")
+        onerror.call(annotator, message);
+    };
+    if (!this.layers.superpixel.imageData)
+      this.layers.superpixel.copy(this.layers.image).setAlpha(0).render();
+    if (this.segmentation)
+      this.segmentation.terminate();
+    this.segmentation = new SegmentationWorker(this.layers.image.imageData,
+                                               settings);
     return this;
   };
 
-  // Adjust the superpixel resolution.
-  Annotator.prototype.finer = function (options) {
+  // Adjust the superpixel resolution. A computation in progress is cancelled.
+  Annotator.prototype.finer = function () {
     this.segmentation.finer();
-    this._updateSuperpixels(options);
     return this;
   };
 
-  // Adjust the superpixel resolution.
-  Annotator.prototype.coarser = function (options) {
+  // Adjust the superpixel resolution. A computation in progress is cancelled.
+  Annotator.prototype.coarser = function () {
     this.segmentation.coarser();
-    this._updateSuperpixels(options);
     return this;
   };
 
+  // Remove the listeners on the window and stop the superpixel computation.
+  // The annotator is no longer usable afterwards.
+  Annotator.prototype.destroy = function () {
+    for (var type in this.windowListeners || {})
+      window.removeEventListener(type, this.windowListeners[type]);
+    this.windowListeners = null;
+    if (this.segmentation)
+      this.segmentation.terminate();
+    return this;
+  };
+
+  // Add an event listener.
+  Annotator.prototype.on = function (type, handler) {
+    if (typeof handler !== "function")
+      throw "Invalid handler";
+    if (!this.listeners.hasOwnProperty(type))
+      this.listeners[type] = [];
+    if (this.listeners[type].indexOf(handler) < 0)
+      this.listeners[type].push(handler);
+    return this;
+  };
+
+  // Remove an event listener, or all the listeners of the type.
+  Annotator.prototype.off = function (type, handler) {
+    if (!this.listeners.hasOwnProperty(type))
+      return this;
+    if (handler === undefined)
+      delete this.listeners[type];
+    else {
+      var index = this.listeners[type].indexOf(handler);
+      if (index >= 0)
+        this.listeners[type].splice(index, 1);
+    }
+    return this;
+  };
+
+  // Set the current label.
+  Annotator.prototype.setLabel = function (label) {
+    var previousLabel = this.currentLabel;
+    this.currentLabel = label;
+    if (label !== previousLabel)
+      this._emit("labelchange", { label: label, previousLabel: previousLabel });
+    return this;
+  };
+
+  // Switch to the registered tool. Selecting the current tool again resets
+  // its state.
+  Annotator.prototype.setTool = function (name, options) {
+    if (!tools.hasOwnProperty(name))
+      throw "Unknown tool: " + name;
+    var previousTool = this.mode;
+    if (tools[previousTool].deactivate)
+      tools[previousTool].deactivate.call(this);
+    this.mode = name;
+    if (tools[name].activate)
+      tools[name].activate.call(this, options || {});
+    if (name !== previousTool)
+      this._emit("toolchange", { tool: name, previousTool: previousTool });
+    return this;
+  };
+
+  Annotator.prototype.getTool = function () {
+    return this.mode;
+  };
+
   // Undo the edit.
   Annotator.prototype.undo = function () {
-    if (this.currentHistoryRecord < 0)
+    var record = this.history.undo();
+    if (!record)
       return false;
-    var record = this.history[this.currentHistoryRecord--];
-    this._fillPixels(record.pixels, record.prev);
+    var prev = this._getLabels(record.pixels);
+    this._fillPixels(record.pixels, record.labels);
     this.layers.visualization.render();
-    if (typeof this.onchange === "function")
-      this.onchange.call(this);
-    return this.currentHistoryRecord < 0;
+    this._notifyChange("undo", record.pixels.length, [prev, record.labels]);
+    return !this.history.canUndo();
   };
 
   // Redo the edit.
   Annotator.prototype.redo = function () {
-    if (this.currentHistoryRecord >= this.history.length - 1)
+    var record = this.history.redo();
+    if (!record)
       return false;
-    var record = this.history[++this.currentHistoryRecord];
-    this._fillPixels(record.pixels, record.next);
+    var prev = this._getLabels(record.pixels);
+    this._fillPixels(record.pixels, record.labels);
     this.layers.visualization.render();
-    if (typeof this.onchange === "function")
-      this.onchange.call(this);
-    return this.currentHistoryRecord >= this.history.length;
+    this._notifyChange("redo", record.pixels.length, [prev, record.labels]);
+    return !this.history.canRedo();
+  };
+
+  // Save the current annotation under the name.
+  Annotator.prototype.createCheckpoint = function (name) {
+    this.checkpoints[name] = History.encodeLabels(this._getLabelImage());
+    return this;
+  };
+
+  Annotator.prototype.removeCheckpoint = function (name) {
+    delete this.checkpoints[name];
+    return this;
+  };
+
+  Annotator.prototype.getCheckpoints = function () {
+    return Object.keys(this.checkpoints);
+  };
+
+  // Get pixels that differ from the checkpoint, in { pixels, prev, next }
+  // where prev is the label at the checkpoint and next is the current one.
+  Annotator.prototype.diffCheckpoint = function (name) {
+    if (!this.checkpoints.hasOwnProperty(name))
+      throw "Unknown checkpoint: " + name;
+    var labels = History.decodeLabels(this.checkpoints[name]),
+        currentLabels = this._getLabelImage(),
+        updates = { pixels: [], prev: [], next: [] };
+    for (var i = 0; i < labels.length; ++i) {
+      if (labels[i] !== currentLabels[i]) {
+        updates.pixels.push(4 * i);
+        updates.prev.push(labels[i]);
+        updates.next.push(currentLabels[i]);
+      }
+    }
+    return updates;
+  };
+
+  // Restore the checkpoint as a single undoable edit. Locked labels are not
+  // respected.
+  Annotator.prototype.revertToCheckpoint = function (name) {
+    var diff = this.diffCheckpoint(name);
+    if (diff.pixels.length === 0)
+      return this;
+    this._fillPixels(diff.pixels, diff.prev);
+    this.layers.visualization.render();
+    this._updateHistory({
+      pixels: diff.pixels,
+      prev: diff.next,
+      next: diff.prev
+    });
+    this._notifyChange("revert", diff.pixels.length, [diff.next, diff.prev]);
+    return this;
+  };
+
+  // Get the annotation, undo history, and checkpoints in a JSON-compatible
+  // object. options.maxBytes limits the size of the undo history.
+  Annotator.prototype.serializeHistory = function (options) {
+    return {
+      width: this.width,
+      height: this.height,
+      annotation: History.encodeLabels(this._getLabelImage()),
+      history: this.history.serialize(options),
+      checkpoints: this.checkpoints
+    };
+  };
+
+  // Restore the serializeHistory() output.
+  Annotator.prototype.restoreHistory = function (state) {
+    if (!state || state.width !== this.width || state.height !== this.height)
+      throw "Invalid history state";
+    var labels = History.decodeLabels(state.annotation),
+        pixels = new Int32Array(labels.length);
+    for (var i = 0; i < pixels.length; ++i)
+      pixels[i] = 4 * i;
+    this.history.deserialize(state.history);
+    this.checkpoints = state.checkpoints || {};
+    this._fillPixels(pixels, labels);
+    this.layers.visualization.render();
+    this._notifyChange("restore", pixels.length, [labels]);
+    return this;
   };
 
   // Get unique labels in the current annotation.
@@ -103,7 +323,7 @@ function (Layer, segmentation, morph) {
     var uniqueIndex = [],
         data = this.layers.annotation.imageData.data;
     for (var i = 0; i < data.length; i += 4) {
-      var label = _getEncodedLabel(data, i);
+      var label = this.getLabelOf(_getEncodedLabel(data, i));
       if (uniqueIndex.indexOf(label) < 0) {
         uniqueIndex.push(label);
       }
@@ -111,23 +331,343 @@ function (Layer, segmentation, morph) {
     return uniqueIndex.sort(function (a, b) { return a - b; });
   };
 
-  // Fill all the pixels assigned the target label or all.
+  // Get instances in the current annotation as a list of
+  // { label: label, instance: id } sorted by the id.
+  Annotator.prototype.getInstances = function () {
+    var found = {},
+        instances = [],
+        data = this.layers.annotation.imageData.data;
+    if (!this.instanceMode)
+      return instances;
+    for (var i = 0; i < data.length; i += 4) {
+      var value = _getEncodedLabel(data, i);
+      if ((value >>> 8) > 0 && !found[value]) {
+        found[value] = true;
+        instances.push({ label: value & 255, instance: value >>> 8 });
+      }
+    }
+    return instances.sort(function (a, b) {
+      return a.instance - b.instance || a.label - b.label;
+    });
+  };
+
+  // Start painting a new instance with the smallest unused id, and return
+  // the id.
+  Annotator.prototype.newInstance = function () {
+    var instances = this.getInstances(),
+        used = {},
+        instance = 1;
+    for (var i = 0; i < instances.length; ++i)
+      used[instances[i].instance] = true;
+    while (used[instance])
+      ++instance;
+    if (instance > MAX_INSTANCE)
+      throw "Too many instances: " + MAX_INSTANCE;
+    return this.setInstance(instance).currentInstance;
+  };
+
+  Annotator.prototype.setInstance = function (instance) {
+    if (!this.instanceMode)
+      throw "Instance mode is disabled";
+    if (instance < 0 || instance > MAX_INSTANCE)
+      throw "Invalid instance: " + instance;
+    this.currentInstance = instance;
+    return this;
+  };
+
+  // In instance mode, an encoded value packs the label in the lowest 8 bits
+  // and the instance id in the upper 16 bits. Id 0 means no instance, and ids
+  // are up to MAX_INSTANCE so that 16-bit label maps can hold them.
+  Annotator.prototype.getLabelOf = function (value) {
+    return (this.instanceMode) ? value & 255 : value;
+  };
+
+  Annotator.prototype.getInstanceOf = function (value) {
+    return (this.instanceMode) ? value >>> 8 : 0;
+  };
+
+  // Fill all the pixels assigned the target label or all. Instance ids are
+  // kept in instance mode.
   Annotator.prototype.fill = function (targetLabel) {
     var pixels = [],
+        labels = [],
         annotationData = this.layers.annotation.imageData.data;
     for (var i = 0; i < annotationData.length; i += 4) {
-      var label = _getEncodedLabel(annotationData, i);
-      if (label === targetLabel || targetLabel === undefined)
+      var value = _getEncodedLabel(annotationData, i);
+      if (this.getLabelOf(value) === targetLabel ||
+          targetLabel === undefined) {
         pixels.push(i);
+        labels.push((this.instanceMode) ?
+                    (value & ~255) | this.currentLabel : this.currentLabel);
+      }
     }
     if (pixels.length > 0)
-      this._updateAnnotation(pixels, this.currentLabel);
+      this._updateAnnotation(pixels, labels);
+    return this;
+  };
+
+  // Fill the connected region of the label at the given position. With a
+  // positive tolerance, the region is also limited to pixels whose image
+  // color is within that RGB distance from the clicked pixel.
+  Annotator.prototype.floodFill = function (pos, label, options) {
+    options = options || {};
+    var width = this.width,
+        height = this.height,
+        annotationData = this.layers.annotation.imageData.data,
+        imageData = this.layers.image.imageData.data,
+        connectivity = options.connectivity || this.fillConnectivity,
+        tolerance = (options.tolerance === undefined) ?
+                    this.fillTolerance : options.tolerance,
+        seed = pos[1] * width + pos[0],
+        seedLabel = _getEncodedLabel(annotationData, 4 * seed),
+        squaredTolerance = tolerance * tolerance,
+        indices = floodFill(width, height, seed, function (index) {
+          var offset = 4 * index;
+          if (_getEncodedLabel(annotationData, offset) !== seedLabel)
+            return false;
+          if (tolerance <= 0)
+            return true;
+          var dr = imageData[offset] - imageData[4 * seed],
+              dg = imageData[offset + 1] - imageData[4 * seed + 1],
+              db = imageData[offset + 2] - imageData[4 * seed + 2];
+          return dr * dr + dg * dg + db * db <= squaredTolerance;
+        }, { connectivity: connectivity }),
+        pixels = new Int32Array(indices.length);
+    for (var i = 0; i < indices.length; ++i)
+      pixels[i] = 4 * indices[i];
+    if (pixels.length > 0)
+      this._updateAnnotation(pixels, (label === undefined) ?
+                                     this._getPaintLabel() : label);
+    return this;
+  };
+
+  // Select the connected region around the given position whose image color
+  // is within the Lab distance tolerance from the clicked pixel.
+  Annotator.prototype.selectByColor = function (pos, options) {
+    options = options || {};
+    var width = this.layers.image.imageData.width,
+        height = this.layers.image.imageData.height,
+        numPixels = width * height,
+        lab = this._getLabImage(),
+        tolerance = (options.tolerance === undefined) ?
+                    this.wandTolerance : options.tolerance,
+        squaredTolerance = tolerance * tolerance,
+        seed = pos[1] * width + pos[0],
+        seedL = lab[seed],
+        seedA = lab[numPixels + seed],
+        seedB = lab[2 * numPixels + seed],
+        indices = floodFill(width, height, seed, function (index) {
+          var dL = lab[index] - seedL,
+              dA = lab[numPixels + index] - seedA,
+              dB = lab[2 * numPixels + index] - seedB;
+          return dL * dL + dA * dA + dB * dB <= squaredTolerance;
+        }, { connectivity: options.connectivity || this.fillConnectivity }),
+        pixels = new Int32Array(indices.length);
+    for (var i = 0; i < indices.length; ++i)
+      pixels[i] = 4 * indices[i];
+    this._setSelection(pixels);
+    return this;
+  };
+
+  // Assign a label to the current selection.
+  Annotator.prototype.commitSelection = function (label) {
+    var pixels = this.selection;
+    this.clearSelection();
+    if (pixels && pixels.length > 0)
+      this._updateAnnotation(pixels, (label === undefined) ?
+                                     this._getPaintLabel() : label);
+    return this;
+  };
+
+  Annotator.prototype.clearSelection = function () {
+    this._resetGrabcut();
+    if (this.selection) {
+      this.selection = null;
+      this.selectionMask = null;
+      this._updateHighlight(null);
+    }
+    return this;
+  };
+
+  // Select the pixels, with a mask to test whether a pixel is selected.
+  Annotator.prototype._setSelection = function (pixels) {
+    var mask = new Uint8Array(this.width * this.height);
+    for (var i = 0; i < pixels.length; ++i)
+      mask[pixels[i] / 4] = 1;
+    this.selection = pixels;
+    this.selectionMask = mask;
+    this._updateHighlight(pixels);
+  };
+
+  // Close the polygon being drawn so that its vertices can be edited.
+  Annotator.prototype.closePolygon = function () {
+    if (this.polygonPoints.length >= 3) {
+      this.polygonClosed = true;
+      this._drawPolygon(null);
+    }
+    return this;
+  };
+
+  // Label the inside of the polygon by the current label.
+  Annotator.prototype.commitPolygon = function () {
+    if (this.polygonPoints.length >= 3)
+      this._addPolygonToAnnotation();
+    return this;
+  };
+
+  Annotator.prototype.cancelPolygon = function () {
+    this._emptyPolygonPoints();
+    return this;
+  };
+
+  Annotator.prototype.removeLastPolygonPoint = function () {
+    this.polygonPoints.pop();
+    if (this.polygonPoints.length < 3)
+      this.polygonClosed = false;
+    this._drawPolygon(null);
+    return this;
+  };
+
+  // Label a "rectangle" or an "ellipse" inscribed in the rectangle
+  // [left, top, right, bottom].
+  Annotator.prototype.fillShape = function (shape, rect, label) {
+    var left = Math.max(Math.min(rect[0], rect[2]), 0),
+        top = Math.max(Math.min(rect[1], rect[3]), 0),
+        right = Math.min(Math.max(rect[0], rect[2]), this.width - 1),
+        bottom = Math.min(Math.max(rect[1], rect[3]), this.height - 1),
+        centerX = (Math.min(rect[0], rect[2]) + Math.max(rect[0], rect[2])) / 2,
+        centerY = (Math.min(rect[1], rect[3]) + Math.max(rect[1], rect[3])) / 2,
+        radiusX = Math.abs(rect[2] - rect[0]) / 2 + 0.5,
+        radiusY = Math.abs(rect[3] - rect[1]) / 2 + 0.5,
+        pixels = [];
+    if (shape !== "rectangle" && shape !== "ellipse")
+      throw "Invalid shape: " + shape;
+    for (var y = top; y <= bottom; ++y) {
+      for (var x = left; x <= right; ++x) {
+        var u = (x - centerX) / radiusX,
+            v = (y - centerY) / radiusY;
+        if (shape === "rectangle" || u * u + v * v <= 1)
+          pixels.push(4 * (y * this.width + x));
+      }
+    }
+    if (pixels.length > 0)
+      this._updateAnnotation(pixels, (label === undefined) ?
+                                     this._getPaintLabel() : label);
+    return this;
+  };
+
+  // Extract the foreground in the rectangle [left, top, right, bottom] by
+  // GrabCut and select it. The `graph` option chooses "superpixel" or "pixel"
+  // nodes. Scribbles added in the grabcut mode are kept as hard constraints.
+  Annotator.prototype.grabcut = function (rect, options) {
+    options = options || {};
+    var numPixels = this.width * this.height,
+        state = this.grabcutState;
+    if (!state || (options.graph && options.graph !== state.graphType)) {
+      state = this.grabcutState = {
+        rect: null,
+        graphType: options.graph || this.grabcutGraph,
+        graph: null,
+        graphBox: null,
+        foreground: new Uint8Array(numPixels),
+        background: new Uint8Array(numPixels)
+      };
+    }
+    state.rect = [Math.max(Math.min(rect[0], rect[2]), 0),
+                  Math.max(Math.min(rect[1], rect[3]), 0),
+                  Math.min(Math.max(rect[0], rect[2]), this.width - 1),
+                  Math.min(Math.max(rect[1], rect[3]), this.height - 1)];
+    state.options = options;
+    this._drawGrabcutOverlay();
+    return this.refineGrabcut();
+  };
+
+  // Re-run GrabCut with the current rectangle and scribbles.
+  Annotator.prototype.refineGrabcut = function () {
+    var state = this.grabcutState;
+    if (!state || !state.rect)
+      return this;
+    var width = this.width,
+        height = this.height,
+        rect = state.rect,
+        box = [0, 0, width, height],
+        regions = null,
+        numNodes,
+        i, x, y, node, pixel;
+    // Until the first superpixels arrive, use the pixel graph, which only
+    // covers the rectangle and foreground scribbles with a 1-pixel margin.
+    if (state.graphType === "superpixel" && this.pixelIndex.length > 0) {
+      regions = morph.decodeIndexImage(this.layers.superpixel.imageData).data;
+      numNodes = this.pixelIndex.length;
+    }
+    else {
+      box = [rect[0], rect[1], rect[2], rect[3]];
+      for (i = 0; i < width * height; ++i) {
+        if (state.foreground[i]) {
+          x = i % width;
+          y = (i - x) / width;
+          box = [Math.min(box[0], x), Math.min(box[1], y),
+                 Math.max(box[2], x), Math.max(box[3], y)];
+        }
+      }
+      box = [Math.max(box[0] - 1, 0), Math.max(box[1] - 1, 0),
+             Math.min(box[2] + 2, width), Math.min(box[3] + 2, height)];
+      numNodes = (box[2] - box[0]) * (box[3] - box[1]);
+    }
+    if (!state.graph || state.graphBox.join() !== box.join()) {
+      state.graph = grabcut.createGraph(this.layers.image.imageData,
+                                        regions,
+                                        numNodes,
+                                        box);
+      state.graphBox = box;
+    }
+    // Nodes touched by scribbles are fixed, others are unknown when mostly
+    // inside the rectangle.
+    var boxWidth = box[2] - box[0],
+        numBoxPixels = boxWidth * (box[3] - box[1]),
+        trimap = new Uint8Array(numNodes),
+        inside = new Float64Array(numNodes),
+        foreground = new Uint8Array(numNodes),
+        background = new Uint8Array(numNodes);
+    function getPixel(k) {
+      var bx = k % boxWidth;
+      return (box[1] + (k - bx) / boxWidth) * width + box[0] + bx;
+    }
+    for (i = 0; i < numBoxPixels; ++i) {
+      pixel = getPixel(i);
+      x = pixel % width;
+      y = (pixel - x) / width;
+      node = (regions) ? regions[pixel] : i;
+      if (rect[0] <= x && x <= rect[2] && rect[1] <= y && y <= rect[3])
+        ++inside[node];
+      foreground[node] |= state.foreground[pixel];
+      background[node] |= state.background[pixel];
+    }
+    for (node = 0; node < numNodes; ++node) {
+      trimap[node] = (foreground[node]) ? grabcut.FOREGROUND :
+                     (background[node]) ? grabcut.BACKGROUND :
+                     (2 * inside[node] > state.graph.sizes[node]) ?
+                     grabcut.UNKNOWN : grabcut.BACKGROUND;
+    }
+    var labels = grabcut.segment(state.graph, trimap, state.options),
+        pixels = [];
+    for (i = 0; i < numBoxPixels; ++i) {
+      pixel = getPixel(i);
+      x = pixel % width;
+      y = (pixel - x) / width;
+      node = (regions) ? regions[pixel] : i;
+      if (labels[node] && (foreground[node] ||
+          (rect[0] <= x && x <= rect[2] && rect[1] <= y && y <= rect[3])))
+        pixels.push(4 * pixel);
+    }
+    this._setSelection(new Int32Array(pixels));
     return this;
   };
 
   Annotator.prototype.setAlpha = function (alpha) {
     this.visualizationAlpha = Math.max(Math.min(alpha, 255), 0);
-    this.layers.visualization.setAlpha(this.visualizationAlpha).render();
+    this._updateVisualizationAlpha();
+    this.layers.visualization.render();
     return this;
   };
 
@@ -139,43 +679,237 @@ function (Layer, segmentation, morph) {
     return this.setAlpha(this.visualizationAlpha + (scale || 1) * 20);
   };
 
-  // Import an existing annotation.
+  // Restrict edits to pixels currently assigned one of the labels, or allow
+  // painting over any label with null.
+  Annotator.prototype.setPaintOverLabels = function (labels) {
+    this.paintOverLabels = (labels === null || labels === undefined) ?
+                           null : labels.slice(0);
+    return this;
+  };
+
+  // Prevent pixels of the labels from being overwritten by any edit.
+  Annotator.prototype.setProtectedLabels = function (labels) {
+    this.protectedLabels = (labels) ? labels.slice(0) : [];
+    return this;
+  };
+
+  // Lock or unlock a label against any edit.
+  Annotator.prototype.setLabelLocked = function (label, locked) {
+    var index = this.protectedLabels.indexOf(label);
+    if (locked && index < 0)
+      this.protectedLabels.push(label);
+    else if (!locked && index >= 0)
+      this.protectedLabels.splice(index, 1);
+    return this;
+  };
+
+  Annotator.prototype.isLabelLocked = function (label) {
+    return this.protectedLabels.indexOf(label) >= 0;
+  };
+
+  // Show or hide a label in the visualization.
+  Annotator.prototype.setLabelHidden = function (label, hidden) {
+    var index = this.hiddenLabels.indexOf(label);
+    if (hidden && index < 0)
+      this.hiddenLabels.push(label);
+    else if (!hidden && index >= 0)
+      this.hiddenLabels.splice(index, 1);
+    else
+      return this;
+    this._updateVisualizationAlpha();
+    this.layers.visualization.render();
+    return this;
+  };
+
+  Annotator.prototype.isLabelHidden = function (label) {
+    return this.hiddenLabels.indexOf(label) >= 0;
+  };
+
+  // Tell if pixels of the label can be overwritten.
+  Annotator.prototype.isPaintable = function (label) {
+    label = this.getLabelOf(label);
+    return this.protectedLabels.indexOf(label) < 0 &&
+           (this.paintOverLabels === null ||
+            this.paintOverLabels.indexOf(label) >= 0);
+  };
+
+  // Set the brush radius and/or shape ("round" or "square").
+  Annotator.prototype.setBrush = function (options) {
+    options = options || {};
+    if (options.radius !== undefined)
+      this.brushRadius = Math.max(Math.min(Math.round(options.radius), 100),
+                                  0);
+    if (options.shape !== undefined) {
+      if (options.shape !== "round" && options.shape !== "square")
+        throw "Invalid brush shape: " + options.shape;
+      this.brushShape = options.shape;
+    }
+    return this;
+  };
+
+  Annotator.prototype.largerBrush = function (step) {
+    return this.setBrush({ radius: this.brushRadius + (step || 1) });
+  };
+
+  Annotator.prototype.smallerBrush = function (step) {
+    return this.setBrush({ radius: this.brushRadius - (step || 1) });
+  };
+
+  // Paint the brush at the given position. Within a stroke, the segment from
+  // the previous position is painted too so that fast moves leave no gaps.
+  Annotator.prototype.brush = function (pos, label) {
+    var from = pos;
+    if (this.currentStroke) {
+      from = this.currentStroke.lastPos || pos;
+      this.currentStroke.lastPos = pos;
+    }
+    if (label === undefined)
+      label = this._getPaintLabel();
+    this._updateAnnotation(this._getBrushPixels(from, pos), label);
+    return this;
+  };
+
+  // Import an existing annotation. With options.format set to "indexed", the
+  // annotation is a palette PNG of label indices, and with "gray16", it is a
+  // grayscale PNG of encoded labels as export() writes. Values whose label
+  // has no color in the colormap, e.g., 255 in Pascal VOC, become
+  // options.ignoreLabel.
   Annotator.prototype.import = function (annotationURL, options) {
     options = options || {};
     var annotator = this;
+    if (options.format === "indexed" || options.format === "gray16") {
+      util.requestArrayBuffer(annotationURL, function (buffer) {
+        annotator._importPNG(buffer, options);
+      }, function (message) {
+        annotator._failImport(message, options);
+      });
+      return this;
+    }
     this.layers.annotation.load(annotationURL, {
       onload: function () {
         if (options.grayscale)
           this.gray2index();
-        annotator.layers
-                 .visualization
-                 .copy(this)
-                 .applyColormap(annotator.colormap)
-                 .setAlpha(annotator.visualizationAlpha)
-                 .render();
-        this.setAlpha(0).render();
-        this.history = [];
-        this.currentHistoryRecord = -1;
-        if (typeof options.onload === "function")
-          options.onload.call(annotator);
-        if (typeof annotator.onchange === "function")
-          annotator.onchange.call(annotator);
+        annotator._onImport(options);
       },
       onerror: options.onerror
     });
     return this;
   };
 
-  // Export the annotation in data URL.
-  Annotator.prototype.export = function () {
+  // Replace the annotation with the COCO annotations of the image, and return
+  // the names of categories without a label in options.labels. See
+  // image/coco.js for the other options.
+  Annotator.prototype.importCOCO = function (dataset, options) {
+    var settings = {
+      width: this.width,
+      height: this.height,
+      instanceMode: this.instanceMode,
+      defaultLabel: this.defaultLabel
+    };
+    for (var key in options || {})
+      settings[key] = options[key];
+    var decoded = coco.createIndexImage(dataset, settings),
+        values = decoded.indexImage.data;
+    this.layers.annotation.process(function (imageData) {
+      for (var i = 0; i < values.length; ++i)
+        _setEncodedLabel(imageData.data, 4 * i, values[i]);
+    });
+    this._onImport(settings);
+    return decoded.unmatchedCategories;
+  };
+
+  // Export the annotation in data URL. With options.format set to "indexed",
+  // the annotation is a palette PNG of labels with the colormap as the
+  // palette, which keeps up to 256 labels and drops instance ids. With
+  // "gray16", it is a 16-bit grayscale PNG of encoded labels, i.e.,
+  // (instance << 8) | label in the instance mode. When the annotation does
+  // not fit the format, export() emits exporterror with the message and
+  // returns null.
+  Annotator.prototype.export = function (options) {
+    options = options || {};
+    var labels, i;
+    if (options.format === "gray16") {
+      labels = this._getLabelImage();
+      for (i = 0; i < labels.length; ++i) {
+        if (labels[i] > 0xffff)
+          return this._failExport("gray16", (this.instanceMode) ?
+              "Instance " + this.getInstanceOf(labels[i]) +
+              " exceeds the 16-bit limit of " + MAX_INSTANCE + " instances" :
+              "Label " + labels[i] + " exceeds the 16-bit limit");
+      }
+      this._emit("beforeexport", { format: "gray16" });
+      return png.toDataURL(png.encode({
+        width: this.width,
+        height: this.height,
+        data: labels
+      }, { bitDepth: 16 }));
+    }
+    if (options.format === "indexed") {
+      labels = this._getLabelImage();
+      for (i = 0; i < labels.length; ++i) {
+        labels[i] = this.getLabelOf(labels[i]);
+        if (labels[i] > 255)
+          return this._failExport("indexed", "Label " + labels[i] +
+                                  " exceeds the palette limit of 256 labels");
+      }
+      this._emit("beforeexport", { format: "indexed" });
+      return png.toDataURL(png.encode({
+        width: this.width,
+        height: this.height,
+        data: labels
+      }, { palette: this.colormap.slice(0, 256) }));
+    }
+    this._emit("beforeexport", { format: "png" });
     this.layers.annotation.setAlpha(255);
     this.layers.annotation.render();
-    var data = this.layers.annotation.canvas.toDataURL();
+    var data = this.layers.annotation.toCanvas().toDataURL();
     this.layers.annotation.setAlpha(0);
     this.layers.annotation.render();
     return data;
   };
 
+  // Export the annotation as a COCO dataset of the image. Labels other than
+  // the default label are categories named by options.labels. See
+  // image/coco.js for the other options.
+  Annotator.prototype.exportCOCO = function (options) {
+    var settings = {
+      instanceMode: this.instanceMode,
+      ignoreLabels: [this.defaultLabel]
+    };
+    for (var key in options || {})
+      settings[key] = options[key];
+    this._emit("beforeexport", { format: "coco" });
+    return coco.createDataset(
+        morph.decodeIndexImage(this.layers.annotation.imageData), settings);
+  };
+
+  // Export the label regions as polygons with holes. options.format is
+  // "geojson" (default), "svg", or "labelme", and the SVG document is
+  // returned as a string. See image/vector.js for the other options.
+  Annotator.prototype.exportVector = function (options) {
+    var settings = {
+      instanceMode: this.instanceMode,
+      ignoreLabels: [this.defaultLabel],
+      colormap: this.colormap,
+      width: this.width,
+      height: this.height
+    };
+    for (var key in options || {})
+      settings[key] = options[key];
+    var format = settings.format || "geojson",
+        create = {
+          geojson: vector.createGeoJSON,
+          svg: vector.createSVG,
+          labelme: vector.createLabelMe
+        }[format];
+    if (!create)
+      throw "Invalid format: " + format;
+    this._emit("beforeexport", { format: format });
+    return create(vector.createShapes(
+        morph.decodeIndexImage(this.layers.annotation.imageData), settings),
+        settings);
+  };
+
   // Show a specified layer.
   Annotator.prototype.show = function (layer) {
     this.layers[layer].canvas.style.display = "inline-block";
@@ -193,7 +927,7 @@ function (Layer, segmentation, morph) {
     var pixels = [],
         annotationData = this.layers.annotation.imageData.data;
     for (var i = 0; i < annotationData.length; i += 4) {
-      var currentLabel = _getEncodedLabel(annotationData, i);
+      var currentLabel = this.getLabelOf(_getEncodedLabel(annotationData, i));
       if (currentLabel === label)
         pixels.push(i);
     }
@@ -207,23 +941,51 @@ function (Layer, segmentation, morph) {
     return this;
   };
 
-  // Zoom to specific resolution.
-  Annotator.prototype.zoom = function (scale) {
-    this.currentZoom = Math.max(Math.min(scale || 1.0, 10.0), 1.0);
-    this.innerContainer.style.zoom = this.currentZoom;
-    this.innerContainer.style.MozTransform =
-        "scale(" + this.currentZoom + ")";
+  // Zoom to specific resolution, keeping the anchor point in the view fixed.
+  // The anchor is in CSS pixels from the top-left of the container and
+  // defaults to the center of the view.
+  Annotator.prototype.zoom = function (scale, anchor) {
+    var previousZoom = this.currentZoom;
+    anchor = anchor || [this.viewWidth / 2, this.viewHeight / 2];
+    this.currentZoom = Math.max(Math.min(scale || 1.0, MAX_ZOOM), MIN_ZOOM);
+    this.viewOffset = [
+      anchor[0] - (anchor[0] - this.viewOffset[0]) *
+                  this.currentZoom / previousZoom,
+      anchor[1] - (anchor[1] - this.viewOffset[1]) *
+                  this.currentZoom / previousZoom
+    ];
+    this._updateViewport();
+    this._emit("zoom", { zoom: this.currentZoom });
     return this;
   };
 
   // Zoom in.
-  Annotator.prototype.zoomIn = function (scale) {
-    return this.zoom(this.currentZoom + (scale || 0.25));
+  Annotator.prototype.zoomIn = function (scale, anchor) {
+    return this.zoom(this.currentZoom * (1 + (scale || 0.25)), anchor);
   };
 
   // Zoom out.
-  Annotator.prototype.zoomOut = function (scale) {
-    return this.zoom(this.currentZoom - (scale || 0.25));
+  Annotator.prototype.zoomOut = function (scale, anchor) {
+    return this.zoom(this.currentZoom / (1 + (scale || 0.25)), anchor);
+  };
+
+  // Move the view by CSS pixels.
+  Annotator.prototype.pan = function (dx, dy) {
+    this.viewOffset = [this.viewOffset[0] + dx, this.viewOffset[1] + dy];
+    this._updateViewport();
+    return this;
+  };
+
+  // Zoom to show the whole image.
+  Annotator.prototype.fit = function () {
+    this.viewOffset = [0, 0];
+    return this.zoom(Math.min(this.viewWidth / this.width,
+                              this.viewHeight / this.height), [0, 0]);
+  };
+
+  // Zoom so that an image pixel is a device pixel.
+  Annotator.prototype.actualSize = function (anchor) {
+    return this.zoom(1 / (window.devicePixelRatio || 1), anchor);
   };
 
   // // Align the current annotation to the boundary of superpixels.
@@ -235,8 +997,7 @@ function (Layer, segmentation, morph) {
   //     this._fillPixels(pixels, label);
   //   }
   //   this.layers.visualization.render();
-  //   this.history = [];
-  //   this.currentHistoryRecord = 0;
+  //   this.history.clear();
   // };
 
   Annotator.prototype.denoise = function () {
@@ -252,48 +1013,145 @@ function (Layer, segmentation, morph) {
   // Private methods.
 
   Annotator.prototype._createLayers = function (options) {
-    var onload = options.onload;
-    delete options.onload;
     this.container = document.createElement("div");
     this.container.classList.add("segment-annotator-outer-container");
     this.innerContainer = document.createElement("div");
     this.innerContainer.classList.add("segment-annotator-inner-container");
+    // The overlay is redrawn as a whole for every stroke, so is not tiled.
+    var layerOptions = { tileSize: this.tileSize };
     this.layers = {
-      image: new Layer(options),
-      superpixel: new Layer(options),
-      visualization: new Layer(options),
-      boundary: new Layer(options),
-      annotation: new Layer(options)
+      image: new Layer(null, layerOptions),
+      superpixel: new Layer(null, layerOptions),
+      visualization: new Layer(null, layerOptions),
+      boundary: new Layer(null, layerOptions),
+      overlay: new Layer(),
+      annotation: new Layer(null, layerOptions)
     };
-    options.onload = onload;
     for (var key in this.layers) {
       var canvas = this.layers[key].canvas;
       canvas.classList.add("segment-annotator-layer");
       this.innerContainer.appendChild(canvas);
     }
     this.container.appendChild(this.innerContainer);
+    this.busyIndicator = document.createElement("div");
+    this.busyIndicator.classList.add("segment-annotator-busy");
+    this.busyIndicator.appendChild(document.createElement("div"));
+    this.container.appendChild(this.busyIndicator);
+    if (options.minimap !== false) {
+      this.minimap = document.createElement("canvas");
+      this.minimap.classList.add("segment-annotator-minimap");
+      this.container.appendChild(this.minimap);
+    }
     this._resizeLayers(options);
   };
 
   Annotator.prototype._resizeLayers = function (options) {
-    this.width = options.width || this.layers.image.canvas.width;
-    this.height = options.height || this.layers.image.canvas.height;
+    this.width = options.width || this.layers.image.width;
+    this.height = options.height || this.layers.image.height;
     for (var key in this.layers) {
-      if (key !== "image") {
-        var canvas = this.layers[key].canvas;
-        canvas.width = this.width;
-        canvas.height = this.height;
-      }
+      if (key !== "image")
+        this.layers[key].setSize(this.width, this.height);
     }
+    this.viewWidth = options.viewportWidth || this.width;
+    this.viewHeight = options.viewportHeight || this.height;
     this.innerContainer.style.width = this.width + "px";
     this.innerContainer.style.height = this.height + "px";
-    this.container.style.width = this.width + "px";
-    this.container.style.height = this.height + "px";
+    this.container.style.width = this.viewWidth + "px";
+    this.container.style.height = this.viewHeight + "px";
+  };
+
+  // Show the progress of the superpixel computation, or hide with null.
+  Annotator.prototype._updateBusyIndicator = function (progress) {
+    var isBusy = progress !== null;
+    this.busyIndicator.classList.toggle("segment-annotator-busy-active",
+                                        isBusy);
+    if (isBusy) {
+      this.busyIndicator.firstChild.style.width = 100 * progress + "%";
+      this._emit("superpixelsprogress", { progress: progress });
+    }
+  };
+
+  // Keep the image within the view and apply the transform.
+  Annotator.prototype._updateViewport = function () {
+    var zoom = this.currentZoom,
+        offset = this.viewOffset,
+        size = [this.width * zoom, this.height * zoom],
+        view = [this.viewWidth, this.viewHeight];
+    for (var i = 0; i < 2; ++i)
+      offset[i] = (size[i] <= view[i]) ?
+                  (view[i] - size[i]) / 2 :
+                  Math.max(Math.min(offset[i], 0), view[i] - size[i]);
+    this.innerContainer.style.transform =
+        "translate(" + offset[0] + "px, " + offset[1] + "px) " +
+        "scale(" + zoom + ")";
+    this._drawMinimap();
   };
 
+  // Draw the downscaled image and the visible region.
+  Annotator.prototype._drawMinimap = function () {
+    if (!this.minimap || !this.minimapImage)
+      return;
+    var zoom = this.currentZoom,
+        scale = this.minimap.width / this.width,
+        left = -this.viewOffset[0] / zoom,
+        top = -this.viewOffset[1] / zoom,
+        width = this.viewWidth / zoom,
+        height = this.viewHeight / zoom,
+        context = this.minimap.getContext("2d");
+    this.minimap.style.display = (left <= 0 && top <= 0 &&
+                                  left + width >= this.width &&
+                                  top + height >= this.height) ?
+                                 "none" : "block";
+    context.drawImage(this.minimapImage, 0, 0);
+    context.strokeStyle = "#FA6900";
+    context.lineWidth = 2;
+    context.strokeRect(left * scale, top * scale,
+                       width * scale, height * scale);
+  };
+
+  Annotator.prototype._initializeMinimap = function () {
+    if (!this.minimap)
+      return;
+    var scale = Math.min(MINIMAP_SIZE / this.width,
+                         MINIMAP_SIZE / this.height, 1),
+        annotator = this;
+    this.minimap.width = Math.max(Math.round(this.width * scale), 1);
+    this.minimap.height = Math.max(Math.round(this.height * scale), 1);
+    this.minimapImage = document.createElement("canvas");
+    this.minimapImage.width = this.minimap.width;
+    this.minimapImage.height = this.minimap.height;
+    this.minimapImage.getContext("2d").drawImage(
+        this.layers.image.toCanvas(), 0, 0,
+        this.minimap.width, this.minimap.height);
+    // Click or drag on the minimap to center the view there.
+    function center(event) {
+      var rect = annotator.minimap.getBoundingClientRect(),
+          x = (event.clientX - rect.left) * annotator.width / rect.width,
+          y = (event.clientY - rect.top) * annotator.height / rect.height;
+      annotator.viewOffset = [
+        annotator.viewWidth / 2 - x * annotator.currentZoom,
+        annotator.viewHeight / 2 - y * annotator.currentZoom
+      ];
+      annotator._updateViewport();
+    }
+    this.minimap.addEventListener("pointerdown", function (event) {
+      annotator.minimap.setPointerCapture(event.pointerId);
+      center(event);
+    });
+    this.minimap.addEventListener("pointermove", function (event) {
+      if (event.buttons)
+        center(event);
+    });
+  };
+
+  // Records are dropped by memory size; maxHistoryRecord optionally caps
+  // the number of steps as well.
   Annotator.prototype._initializeHistory = function (options) {
-    this.history = [];
-    this.currentHistoryRecord = -1;
+    this.history = new History({
+      maxBytes: options.maxHistoryBytes,
+      maxRecords: options.maxHistoryRecord
+    });
+    this.checkpoints = {};
   };
 
   Annotator.prototype._initialize = function (options) {
@@ -303,83 +1161,331 @@ function (Layer, segmentation, morph) {
     this._initializeAnnotationLayer();
     this._initializeVisualizationLayer();
     this._initializeEvents();
+    this._initializeMinimap();
+    this._updateViewport();
     this.resetSuperpixels(options.superpixelOptions);
     if (typeof options.onload === "function")
       options.onload.call(this);
-    if (typeof this.onchange === "function")
-      this.onchange.call(this);
+    this._notifyChange("initialize", this.width * this.height,
+                       [[this.defaultLabel]]);
   };
 
+  // Pointer input. Mouse and pen go to the tool right away. A touch waits
+  // until it moves or lifts, so that two fingers pinch-zoom and pan, and a
+  // long press acts as the right button.
   Annotator.prototype._initializeEvents = function () {
     var canvas = this.layers.annotation.canvas,
-        mousestate = { down: false, button: 0 },
+        pointerstate = { down: false, button: 0, id: null },
+        touches = {},
+        touch = null,
+        gesture = null,
         annotator = this;
     canvas.oncontextmenu = function() { return false; };
-    function updateIfActive(event) {
-      var offset = annotator._getClickOffset(event),
-          superpixelData = annotator.layers.superpixel.imageData.data,
+    canvas.style.touchAction = "none";
+    function getTool() {
+      return tools[annotator.mode];
+    }
+    function updatePressure(event) {
+      annotator.pointerPressure = (annotator.penPressure &&
+                                   event.pointerType === "pen" &&
+                                   event.buttons) ? event.pressure : null;
+    }
+    function pickLabel(pos) {
+      var offset = 4 * (pos[1] * annotator.width + pos[0]),
+          annotationData = annotator.layers.annotation.imageData.data,
+          existingValue = _getEncodedLabel(annotationData, offset),
+          existingLabel = annotator.getLabelOf(existingValue);
+      if (annotator.instanceMode)
+        annotator.setInstance(annotator.getInstanceOf(existingValue));
+      if (typeof annotator.onrightclick === "function")
+        annotator.onrightclick.call(annotator, existingLabel);
+      annotator._emit("rightclick", {
+        label: existingLabel,
+        instance: annotator.getInstanceOf(existingValue),
+        position: pos
+      });
+    }
+    function press(pos, event) {
+      var tool = getTool();
+      pointerstate.down = true;
+      pointerstate.button = event.button;
+      pointerstate.id = event.pointerId;
+      if (tool.pointerdown)
+        tool.pointerdown.call(annotator, pos, event);
+    }
+    function move(event) {
+      var pos = annotator._getClickPos(event),
+          offset = annotator._getClickOffset(event),
           annotationData = annotator.layers.annotation.imageData.data,
-          superpixelIndex = _getEncodedLabel(superpixelData, offset),
-          pixels = annotator.pixelIndex[superpixelIndex],
-          existingLabel = _getEncodedLabel(annotationData, offset);
-      if (annotator.mode === "superpixel")
-        annotator._updateHighlight(pixels);
+          existingLabel = annotator.getLabelOf(
+              _getEncodedLabel(annotationData, offset)),
+          tool = getTool();
+      if (tool.pointermove)
+        tool.pointermove.call(annotator, pos, event,
+                              (pointerstate.down) ? pointerstate.button : null);
       if (typeof annotator.onmousemove === "function")
         annotator.onmousemove.call(annotator, existingLabel);
-      if (mousestate.down) {
-        if (mousestate.button == 2 &&
-            typeof annotator.onrightclick === "function") {
-          if (annotator.mode === "polygon")
-            annotator._emptyPolygonPoints(); //reset
-          else
-            annotator.onrightclick.call(annotator, existingLabel);
-        } else {
-          if (annotator.mode === "brush" && event.button === 0) {
-            annotator.brush(annotator._getClickPos(event),
-                            annotator.currentLabel);
-          }
-          if (event.button === 0 && annotator.mode === "polygon") {
-            annotator._addPolygonPoint(event);
-            if (annotator._checkLineIntersection())
-              annotator._addPolygonToAnnotation();
-          } else if (annotator.mode === "superpixel") {
-            annotator._updateAnnotation(pixels, annotator.currentLabel);
-          }
-          if (typeof annotator.onleftclick === "function")
-            annotator.onleftclick.call(annotator, annotator.currentLabel);
-        }
+      annotator._emit("mousemove", { label: existingLabel, position: pos });
+      if (!pointerstate.down || tool.pickLabel === false)
+        return;
+      if (pointerstate.button == 2)
+        pickLabel(pos);
+      else {
+        if (typeof annotator.onleftclick === "function")
+          annotator.onleftclick.call(annotator, annotator.currentLabel);
+        annotator._emit("leftclick", {
+          label: annotator.currentLabel,
+          position: pos
+        });
+      }
+    }
+    function release(event) {
+      var tool = getTool();
+      if (!pointerstate.down)
+        return;
+      pointerstate.down = false;
+      if (tool.pointerup)
+        tool.pointerup.call(annotator, annotator._getClickPos(event), event);
+    }
+    // A long press is a right-click: pick the label, or pass the right
+    // button to the tool handling it.
+    function longPress() {
+      var tool = getTool(),
+          pos = touch.pos,
+          event = {
+            button: 2,
+            pointerId: touch.event.pointerId,
+            pointerType: "touch",
+            shiftKey: false,
+            altKey: false,
+            ctrlKey: false
+          };
+      touch.state = "done";
+      if (tool.pickLabel !== false)
+        pickLabel(pos);
+      else {
+        press(pos, event);
+        pointerstate.down = false;
+        if (tool.pointerup)
+          tool.pointerup.call(annotator, pos, event);
       }
     }
-    canvas.addEventListener('mousemove', updateIfActive);
-    canvas.addEventListener('mouseup', updateIfActive);
-    canvas.addEventListener('mouseleave', function () {
-      annotator._updateHighlight(null);
+    function getTouchPoints() {
+      return Object.keys(touches).slice(0, 2).map(function (id) {
+        return touches[id];
+      });
+    }
+    function getGesture() {
+      var points = getTouchPoints();
+      return {
+        distance: Math.max(Math.sqrt(
+            Math.pow(points[1][0] - points[0][0], 2) +
+            Math.pow(points[1][1] - points[0][1], 2)), 1),
+        center: [(points[0][0] + points[1][0]) / 2,
+                 (points[0][1] + points[1][1]) / 2]
+      };
+    }
+    function updateGesture() {
+      var current = getGesture(),
+          rect = annotator.container.getBoundingClientRect();
+      annotator.zoom(gesture.zoom * current.distance / gesture.distance,
+                     [current.center[0] - rect.left,
+                      current.center[1] - rect.top]);
+      annotator.pan(current.center[0] - gesture.center[0],
+                    current.center[1] - gesture.center[1]);
+      gesture.center = current.center;
+    }
+    // Drag with the middle button or with space held to pan.
+    function updateCursor() {
+      canvas.style.cursor = (annotator.panDrag) ? "grabbing" :
+                            (annotator.isSpacePressed) ? "grab" : "";
+    }
+    function startPan(event) {
+      annotator.panDrag = {
+        id: event.pointerId,
+        last: [event.clientX, event.clientY]
+      };
+      canvas.setPointerCapture(event.pointerId);
+      updateCursor();
+    }
+    function updatePan(event) {
+      var drag = annotator.panDrag;
+      annotator.pan(event.clientX - drag.last[0],
+                    event.clientY - drag.last[1]);
+      drag.last = [event.clientX, event.clientY];
+    }
+    function endPan() {
+      annotator.panDrag = null;
+      updateCursor();
+    }
+    canvas.addEventListener('mousedown', function (event) {
+      if (event.button === 1)
+        event.preventDefault();  // No auto-scroll.
+    });
+    this.container.addEventListener('wheel', function (event) {
+      var rect = annotator.container.getBoundingClientRect(),
+          delta = event.deltaY *
+                  ((event.deltaMode === 1) ? 16 :
+                   (event.deltaMode === 2) ? annotator.viewHeight : 1);
+      event.preventDefault();
+      annotator.zoom(annotator.currentZoom * Math.exp(-delta * WHEEL_SPEED),
+                     [event.clientX - rect.left, event.clientY - rect.top]);
+    });
+    canvas.addEventListener('pointerdown', function (event) {
+      updatePressure(event);
+      if (event.pointerType !== "touch") {
+        if (event.button === 1 ||
+            (event.button === 0 && annotator.isSpacePressed)) {
+          event.preventDefault();
+          startPan(event);
+        }
+        else
+          press(annotator._getClickPos(event), event);
+        return;
+      }
+      touches[event.pointerId] = [event.clientX, event.clientY];
+      if (Object.keys(touches).length === 1) {
+        touch = {
+          state: "pending",
+          event: event,
+          pos: annotator._getClickPos(event),
+          timer: window.setTimeout(longPress, LONG_PRESS_DELAY)
+        };
+      }
+      else if (!gesture) {
+        if (touch) {
+          window.clearTimeout(touch.timer);
+          touch.state = "done";
+        }
+        release(event);
+        gesture = getGesture();
+        gesture.zoom = annotator.currentZoom;
+      }
+    });
+    canvas.addEventListener('pointermove', function (event) {
+      updatePressure(event);
+      if (annotator.panDrag) {
+        if (event.pointerId === annotator.panDrag.id)
+          updatePan(event);
+        return;
+      }
+      if (event.pointerType === "touch") {
+        if (!touches.hasOwnProperty(event.pointerId))
+          return;
+        touches[event.pointerId] = [event.clientX, event.clientY];
+        if (gesture) {
+          if (Object.keys(touches).length >= 2)
+            updateGesture();
+          return;
+        }
+        if (touch.state === "pending") {
+          if (Math.abs(event.clientX - touch.event.clientX) < TOUCH_SLOP &&
+              Math.abs(event.clientY - touch.event.clientY) < TOUCH_SLOP)
+            return;
+          window.clearTimeout(touch.timer);
+          touch.state = "active";
+          press(touch.pos, touch.event);
+        }
+        else if (touch.state === "done")
+          return;
+      }
+      move(event);
+    });
+    canvas.addEventListener('pointerup', function (event) {
+      if (annotator.panDrag) {
+        if (event.pointerId === annotator.panDrag.id)
+          endPan();
+        return;
+      }
+      if (event.pointerType !== "touch") {
+        move(event);
+        return;
+      }
+      delete touches[event.pointerId];
+      if (gesture) {
+        if (Object.keys(touches).length === 0)
+          gesture = null;
+        return;
+      }
+      if (!touch)
+        return;
+      window.clearTimeout(touch.timer);
+      if (touch.state === "pending")
+        press(touch.pos, touch.event);
+      if (touch.state !== "done") {
+        move(event);
+        release(event);
+      }
+      touch = null;
+    });
+    canvas.addEventListener('pointercancel', function (event) {
+      if (annotator.panDrag && event.pointerId === annotator.panDrag.id)
+        endPan();
+      if (event.pointerType !== "touch")
+        return;
+      delete touches[event.pointerId];
+      if (Object.keys(touches).length === 0)
+        gesture = null;
+      if (touch) {
+        window.clearTimeout(touch.timer);
+        touch = null;
+      }
+      release(event);
+    });
+    canvas.addEventListener('pointerleave', function (event) {
+      var tool = getTool();
+      if (tool.pointerleave)
+        tool.pointerleave.call(annotator, event);
       if (typeof annotator.onmousemove === "function") {
         annotator.onmousemove.call(annotator, null);
       }
+      annotator._emit("mousemove", { label: null, position: null });
     });
-    canvas.addEventListener('mousedown', function (event) {
-      mousestate.down = true;
-      mousestate.button = event.button;
-    });
-    window.addEventListener('mouseup', function () {
-      mousestate.down = false;
+    canvas.addEventListener('dblclick', function (event) {
+      var tool = getTool();
+      if (tool.dblclick)
+        tool.dblclick.call(annotator, annotator._getClickPos(event), event);
     });
-    //polygon on/off with ctrl-key
-    window.onkeyup = function(e) {
-      var key = e.keyCode ? e.keyCode : e.which;
-      if (key == 17) {
-        if (annotator.mode=="polygon") {
-          annotator.mode = "superpixel";
-        } else {
-          annotator.mode = "polygon";
-          annotator._updateHighlight(null);
+    this.windowListeners = {
+      pointerup: function (event) {
+        if (event.pointerType !== "touch" &&
+            event.pointerId === pointerstate.id)
+          release(event);
+      },
+      pointercancel: function (event) {
+        if (event.pointerType !== "touch" &&
+            event.pointerId === pointerstate.id)
+          release(event);
+      },
+      keydown: function (event) {
+        var tool = getTool(),
+            target = event.target;
+        if (target.isContentEditable ||
+            /^(INPUT|SELECT|TEXTAREA)$/.test(target.tagName))
+          return;
+        if (event.key === " ") {
+          annotator.isSpacePressed = true;
+          updateCursor();
         }
-        annotator._emptyPolygonPoints();
+        if (tool.keydown)
+          tool.keydown.call(annotator, event);
+      },
+      keyup: function (event) {
+        if (event.key === " ") {
+          annotator.isSpacePressed = false;
+          updateCursor();
+        }
+      },
+      blur: function () {
+        annotator.isSpacePressed = false;
+        updateCursor();
       }
     };
+    for (var type in this.windowListeners)
+      window.addEventListener(type, this.windowListeners[type]);
   };
 
+
   Annotator.prototype._updateBoundaryLayer = function () {
     var boundaryLayer = this.layers.boundary;
     boundaryLayer.copy(this.layers.superpixel);
@@ -390,6 +1496,60 @@ function (Layer, segmentation, morph) {
     boundaryLayer.render();
   };
 
+  // Update the visualization and reset the history for a new annotation.
+  Annotator.prototype._onImport = function (options) {
+    var layer = this.layers.annotation;
+    // Labels take all the 24 bits except in the instance mode.
+    this.layers.visualization.copy(layer);
+    this.layers.visualization.applyColormap(this.colormap, this.instanceMode);
+    this._updateVisualizationAlpha();
+    this.layers.visualization.render();
+    layer.setAlpha(0).render();
+    this.history.clear();
+    if (typeof options.onload === "function")
+      options.onload.call(this);
+    this._notifyChange("import", this.width * this.height,
+                       [this._getLabelImage()]);
+  };
+
+  // Replace the annotation with the sample values of a PNG file.
+  Annotator.prototype._importPNG = function (buffer, options) {
+    var ignoreLabel = (options.ignoreLabel === undefined) ?
+                      this.defaultLabel : options.ignoreLabel,
+        numLabels = this.colormap.length,
+        image;
+    try {
+      image = png.decode(buffer);
+      if (image.width !== this.width || image.height !== this.height)
+        throw "Annotation size mismatch: " + image.width + "x" + image.height;
+    }
+    catch (error) {
+      this._failImport(String(error), options);
+      return;
+    }
+    var annotator = this;
+    this.layers.annotation.process(function (imageData) {
+      for (var i = 0; i < image.data.length; ++i) {
+        var value = image.data[i];
+        _setEncodedLabel(imageData.data, 4 * i,
+                         (annotator.getLabelOf(value) < numLabels) ?
+                         value : ignoreLabel);
+      }
+    });
+    this._onImport(options);
+  };
+
+  Annotator.prototype._failExport = function (format, message) {
+    this._emit("exporterror", { format: format, message: message });
+    return null;
+  };
+
+  Annotator.prototype._failImport = function (message, options) {
+    if (typeof options.onerror !== "function")
+      throw message;
+    options.onerror.call(this, message);
+  };
+
   Annotator.prototype._initializeAnnotationLayer = function () {
     var layer = this.layers.annotation;
     layer.resize(this.width, this.height);
@@ -402,19 +1562,22 @@ function (Layer, segmentation, morph) {
     var layer = this.layers.visualization;
     layer.resize(this.width, this.height);
     var initialColor = this.colormap[this.defaultLabel]
-                           .concat([this.visualizationAlpha]);
+                           .concat([this._getLabelAlpha(this.defaultLabel)]);
     layer.fill(initialColor);
     layer.render();
   };
 
-  Annotator.prototype._updateSuperpixels = function () {
+  Annotator.prototype._updateSuperpixels = function (result) {
     var annotator = this;
     this.layers.superpixel.process(function (imageData) {
-      imageData.data.set(annotator.segmentation.result.data);
-      annotator._createPixelIndex(annotator.segmentation.result.numSegments);
+      imageData.data.set(result.data);
+      annotator._createPixelIndex(result.numSegments);
+      if (annotator.grabcutState)
+        annotator.grabcutState.graph = null;
       annotator._updateBoundaryLayer();
       this.setAlpha(0).render();
     });
+    this._emit("superpixelsreset", { numSegments: result.numSegments });
   };
 
   Annotator.prototype._createPixelIndex = function (numSegments) {
@@ -435,86 +1598,161 @@ function (Layer, segmentation, morph) {
     var pos = this._getClickPos(event),
         x = pos[0],
         y = pos[1];
-    return 4 * (y * this.layers.visualization.canvas.width + x);
+    return 4 * (y * this.width + x);
   };
 
+  // Get the pixel under the pointer. The bounding box of the canvas reflects
+  // the view transform.
   Annotator.prototype._getClickPos = function (event) {
-    var container = this.container,
-        containerRect = container.getBoundingClientRect(),
-        offsetLeft = containerRect.left + (
-            window.pageXOffset || document.documentElement.scrollLeft
-            ) - (document.documentElement.clientLeft || 0),
-        offsetTop = containerRect.top + (
-            window.pageYOffset || document.documentElement.scrollTop
-            ) - (document.documentElement.clientTop || 0),
-        x = Math.round(
-          (event.pageX - offsetLeft + container.scrollLeft) *
-          (container.offsetWidth / container.scrollWidth)
-          ),
-        y = Math.round(
-          (event.pageY - offsetTop + container.scrollTop) *
-          (container.offsetHeight / container.scrollHeight)
-          ),
-    x = Math.max(Math.min(x, this.layers.visualization.canvas.width - 1), 0);
-    y = Math.max(Math.min(y, this.layers.visualization.canvas.height - 1), 0);
+    var rect = this.layers.annotation.canvas.getBoundingClientRect(),
+        x = Math.floor((event.clientX - rect.left) * this.width / rect.width),
+        y = Math.floor((event.clientY - rect.top) * this.height / rect.height);
+    x = Math.max(Math.min(x, this.width - 1), 0);
+    y = Math.max(Math.min(y, this.height - 1), 0);
     return [x, y];
   };
 
-  // polygon tool.
-  Annotator.prototype._addPolygonPoint = function (event) {
-    var annotator = this,
-        pos = this._getClickPos(event),
-        x = pos[0],
-        y = pos[1];
-    //get canvas.
-    var canvas = annotator.layers.annotation.canvas,
-        ctx = canvas.getContext('2d');
-    if (this.polygonPoints.length === 0) {
-        ctx.save();  // remember previous state.
-        annotator.prevAnnotationImg =
-          ctx.getImageData(0, 0, canvas.width, canvas.height);
-    }
-    // draw.
-    ctx.fillStyle = '#FA6900';
-    ctx.strokeStyle = "#000000";
-    ctx.lineWidth = 1;
-    if (this.polygonPoints.length === 0) {
-      ctx.beginPath();
-      ctx.moveTo( x, y);
-    } else {
-      ctx.lineTo( x, y);
-      ctx.stroke();
-    }
-    this.polygonPoints.push(pos);
+  // polygon tool. Clicks add vertices until the polygon is closed by a
+  // double-click or a click on the first vertex. Vertices can be dragged, an
+  // edge of the closed polygon is split by dragging it, and a right-click on
+  // a vertex deletes it. Nothing is labeled until the polygon is committed.
+  Annotator.prototype._pressPolygon = function (pos, button) {
+    var points = this.polygonPoints,
+        vertex = this._findPolygonVertex(pos);
+    if (button === 2) {
+      if (vertex >= 0) {
+        points.splice(vertex, 1);
+        if (points.length < 3)
+          this.polygonClosed = false;
+        this._drawPolygon(pos);
+      }
+      else
+        this.cancelPolygon();
+      return;
+    }
+    if (button !== 0)
+      return;
+    if (vertex === 0 && !this.polygonClosed && points.length >= 3) {
+      this.closePolygon();
+      return;
+    }
+    if (vertex >= 0) {
+      this.polygonDrag = vertex;
+      return;
+    }
+    if (this.polygonClosed) {
+      var edge = this._findPolygonEdge(pos);
+      if (edge >= 0) {
+        points.splice(edge + 1, 0, pos);
+        this.polygonDrag = edge + 1;
+        this._drawPolygon(pos);
+      }
+      return;
+    }
+    var last = points[points.length - 1];
+    if (!last || last[0] !== pos[0] || last[1] !== pos[1])
+      points.push(pos);
+    this._drawPolygon(pos);
+  };
+
+  Annotator.prototype._movePolygonCursor = function (pos) {
+    if (this.polygonDrag !== null)
+      this.polygonPoints[this.polygonDrag] = pos;
+    this._drawPolygon(pos);
+  };
+
+  // Find the vertex near the position, or -1.
+  Annotator.prototype._findPolygonVertex = function (pos) {
+    for (var i = 0; i < this.polygonPoints.length; ++i) {
+      var point = this.polygonPoints[i];
+      if (Math.abs(point[0] - pos[0]) <= 3 && Math.abs(point[1] - pos[1]) <= 3)
+        return i;
+    }
+    return -1;
+  };
+
+  // Find the edge of the closed polygon near the position, or -1.
+  Annotator.prototype._findPolygonEdge = function (pos) {
+    var points = this.polygonPoints;
+    for (var i = 0; i < points.length; ++i) {
+      var a = points[i],
+          b = points[(i + 1) % points.length],
+          dx = b[0] - a[0],
+          dy = b[1] - a[1],
+          squaredLength = dx * dx + dy * dy,
+          t = (squaredLength > 0) ?
+              ((pos[0] - a[0]) * dx + (pos[1] - a[1]) * dy) / squaredLength :
+              0;
+      t = Math.max(Math.min(t, 1), 0);
+      var ex = a[0] + t * dx - pos[0],
+          ey = a[1] + t * dy - pos[1];
+      if (ex * ex + ey * ey <= 9)
+        return i;
+    }
+    return -1;
+  };
+
+  // Draw the polygon with a rubber band to the cursor while it is open.
+  Annotator.prototype._drawPolygon = function (pos) {
+    var context = this.layers.overlay.canvas.getContext("2d"),
+        points = this.polygonPoints,
+        i;
+    context.clearRect(0, 0, this.width, this.height);
+    if (points.length === 0)
+      return;
+    context.beginPath();
+    context.moveTo(points[0][0] + 0.5, points[0][1] + 0.5);
+    for (i = 1; i < points.length; ++i)
+      context.lineTo(points[i][0] + 0.5, points[i][1] + 0.5);
+    if (this.polygonClosed) {
+      context.closePath();
+      context.fillStyle = "rgba(250, 105, 0, 0.3)";
+      context.fill();
+    }
+    else if (pos)
+      context.lineTo(pos[0] + 0.5, pos[1] + 0.5);
+    context.strokeStyle = "#FA6900";
+    context.lineWidth = 1;
+    context.stroke();
+    for (i = 0; i < points.length; ++i) {
+      context.fillStyle = (i === 0 && !this.polygonClosed) ?
+                          "#FFFFFF" : "#FA6900";
+      context.fillRect(points[i][0] - 2, points[i][1] - 2, 5, 5);
+      context.strokeStyle = "#000000";
+      context.strokeRect(points[i][0] - 1.5, points[i][1] - 1.5, 4, 4);
+    }
   };
 
   Annotator.prototype._emptyPolygonPoints = function () {
-    var annotator = this,
-        ctx = annotator.layers.annotation.canvas.getContext('2d');
-    ctx.restore();
-    if (annotator.prevAnnotationImg)
-      ctx.putImageData(annotator.prevAnnotationImg,0,0);
-    //reset polygon-points
-    annotator.polygonPoints = [];
+    this.polygonPoints = [];
+    this.polygonClosed = false;
+    this.polygonDrag = null;
+    this._drawPolygon(null);
   };
 
   Annotator.prototype._addPolygonToAnnotation = function () {
-    var annotator = this,
-        canvas = document.createElement('canvas'),
-        x, y;
+    this._updateAnnotation(this._getPolygonPixels(this.polygonPoints),
+                           this._getPaintLabel());
+    this._emptyPolygonPoints();
+  };
+
+  // Rasterize a closed polygon into pixel offsets.
+  Annotator.prototype._getPolygonPixels = function (points) {
+    var canvas = document.createElement('canvas'),
+        i, x, y;
     // set canvas dimensions.
-    canvas.width = annotator.layers.annotation.canvas.width;
-    canvas.height = annotator.layers.annotation.canvas.height;
+    canvas.width = this.width;
+    canvas.height = this.height;
     var ctx = canvas.getContext('2d');
     ctx.fillStyle = "rgba(0, 0, 255, 255)";
     ctx.beginPath();
-    ctx.moveTo(annotator.polygonPoints[0][0],annotator.polygonPoints[0][1]);
-    for (i = 1; i < annotator.polygonPoints.length; ++i) {
-      x = annotator.polygonPoints[i][0];
-      y = annotator.polygonPoints[i][1];
+    ctx.moveTo(points[0][0], points[0][1]);
+    for (i = 1; i < points.length; ++i) {
+      x = points[i][0];
+      y = points[i][1];
       ctx.lineTo(x, y);
     }
-    ctx.lineTo(annotator.polygonPoints[0][0], annotator.polygonPoints[0][1]);
+    ctx.lineTo(points[0][0], points[0][1]);
     ctx.closePath();
     ctx.fill();
     //get pixels within polygon.
@@ -533,43 +1771,302 @@ function (Layer, segmentation, morph) {
         }
       }
     }
-    // update annotation.
-    annotator._updateAnnotation(pixelsPolygon, annotator.currentLabel);
-    annotator._emptyPolygonPoints();
+    return pixelsPolygon;
   };
 
-  Annotator.prototype._checkLineIntersection = function () {
-    if (this.polygonPoints.length < 4)
-      return false;
-    var newLineStartX = this.polygonPoints[this.polygonPoints.length - 2][0],
-        newLineStartY = this.polygonPoints[this.polygonPoints.length - 2][1],
-        newLineEndX = this.polygonPoints[this.polygonPoints.length - 1][0],
-        newLineEndY = this.polygonPoints[this.polygonPoints.length - 1][1];
-
-    for (i = 1; i < this.polygonPoints.length - 2; ++i) {
-      var line1StartX = this.polygonPoints[i - 1][0],
-          line1StartY = this.polygonPoints[i - 1][1],
-          line1EndX = this.polygonPoints[i][0],
-          line1EndY = this.polygonPoints[i][1],
-          denominator =
-            ((newLineEndY - newLineStartY) * (line1EndX - line1StartX)) -
-            ((newLineEndX - newLineStartX) * (line1EndY - line1StartY)),
-          a = line1StartY - newLineStartY,
-          b = line1StartX - newLineStartX,
-          numerator1 = ((newLineEndX - newLineStartX) * a) -
-                       ((newLineEndY - newLineStartY) * b),
-          numerator2 = ((line1EndX - line1StartX) * a) -
-                       ((line1EndY - line1StartY) * b);
-      a = numerator1 / denominator;
-      b = numerator2 / denominator;
-      if (a > 0 && a < 1 && b > 0 && b < 1)
-        return true;
-    }
-    return false;
-  };
-
-  Annotator.prototype._setMode = function (mode) {
-    this.mode = mode;
+  // magic wand tool. Clicking inside the selection commits it, clicking
+  // elsewhere starts a new selection.
+  Annotator.prototype._clickWand = function (pos) {
+    var offset = 4 * (pos[1] * this.width + pos[0]);
+    if (this.selectionMask && this.selectionMask[offset / 4])
+      this.commitSelection();
+    else
+      this.selectByColor(pos);
+  };
+
+  // grabcut tool. Without a rectangle, dragging draws one. Afterwards, left
+  // and right drags add foreground and background scribbles.
+  Annotator.prototype._startGrabcutDrag = function (pos, button) {
+    if (button !== 0 && !(button === 2 && this.grabcutState &&
+                          this.grabcutState.rect))
+      return;
+    this.grabcutDrag = { start: pos, last: pos, button: button };
+    this._dragGrabcut(pos);
+  };
+
+  Annotator.prototype._dragGrabcut = function (pos) {
+    var drag = this.grabcutDrag,
+        state = this.grabcutState;
+    if (!drag)
+      return;
+    if (!state || !state.rect) {
+      drag.last = pos;
+      this._drawGrabcutOverlay([drag.start[0], drag.start[1], pos[0], pos[1]]);
+      return;
+    }
+    var context = this.layers.overlay.canvas.getContext("2d"),
+        pixels = this._getBrushPixels(drag.last, pos),
+        isForeground = drag.button === 0;
+    context.fillStyle = (isForeground) ? "rgba(0, 255, 0, 0.8)" :
+                                         "rgba(255, 0, 0, 0.8)";
+    for (var i = 0; i < pixels.length; ++i) {
+      var index = pixels[i] / 4,
+          x = index % this.width;
+      state.foreground[index] = (isForeground) ? 1 : 0;
+      state.background[index] = (isForeground) ? 0 : 1;
+      context.fillRect(x, (index - x) / this.width, 1, 1);
+    }
+    drag.last = pos;
+  };
+
+  Annotator.prototype._endGrabcutDrag = function () {
+    var drag = this.grabcutDrag;
+    this.grabcutDrag = null;
+    if (!drag)
+      return;
+    if (this.grabcutState && this.grabcutState.rect)
+      this.refineGrabcut();
+    else if (Math.abs(drag.last[0] - drag.start[0]) > 1 &&
+             Math.abs(drag.last[1] - drag.start[1]) > 1)
+      this.grabcut([drag.start[0], drag.start[1],
+                    drag.last[0], drag.last[1]]);
+    else
+      this._drawGrabcutOverlay(null);
+  };
+
+  // Draw the rectangle on the overlay, erasing scribbles.
+  Annotator.prototype._drawGrabcutOverlay = function (rect) {
+    var context = this.layers.overlay.canvas.getContext("2d");
+    if (rect === undefined)
+      rect = (this.grabcutState) ? this.grabcutState.rect : null;
+    context.clearRect(0, 0, this.width, this.height);
+    if (!rect)
+      return;
+    context.strokeStyle = "rgba(255, 255, 0, 0.9)";
+    context.lineWidth = 1;
+    context.strokeRect(Math.min(rect[0], rect[2]) + 0.5,
+                       Math.min(rect[1], rect[3]) + 0.5,
+                       Math.abs(rect[2] - rect[0]),
+                       Math.abs(rect[3] - rect[1]));
+  };
+
+  Annotator.prototype._resetGrabcut = function () {
+    if (this.grabcutState || this.grabcutDrag) {
+      this.grabcutState = null;
+      this.grabcutDrag = null;
+      this._drawGrabcutOverlay(null);
+    }
+  };
+
+  // live-wire tool. Each click fixes the traced path up to the click and
+  // moves the anchor there. Clicking near the first point closes the region.
+  Annotator.prototype._addLiveWirePoint = function (pos) {
+    var points = this.liveWirePoints;
+    if (!this.liveWire)
+      this.liveWire = new LiveWire(this.layers.image.imageData);
+    if (points.length > 0) {
+      var first = points[0],
+          isClosing = points.length > 2 &&
+                      Math.abs(pos[0] - first[0]) <= 3 &&
+                      Math.abs(pos[1] - first[1]) <= 3;
+      if (isClosing)
+        pos = first;
+      Array.prototype.push.apply(points,
+                                 this.liveWire.getPath(pos[0], pos[1])
+                                              .slice(1));
+      if (isClosing) {
+        this._updateAnnotation(this._getPolygonPixels(points),
+                               this._getPaintLabel());
+        this._emptyLiveWirePoints();
+        return;
+      }
+    }
+    else
+      points.push(pos);
+    this.liveWire.setAnchor(pos[0], pos[1]);
+    this._drawLiveWire(pos);
+  };
+
+  Annotator.prototype._emptyLiveWirePoints = function () {
+    if (this.liveWirePoints.length > 0) {
+      this.liveWirePoints = [];
+      this._drawLiveWire(null);
+    }
+  };
+
+  // Draw the fixed path and the path from the anchor to the cursor.
+  Annotator.prototype._drawLiveWire = function (pos) {
+    var context = this.layers.overlay.canvas.getContext("2d"),
+        points = this.liveWirePoints,
+        i;
+    context.clearRect(0, 0, this.width, this.height);
+    if (points.length === 0)
+      return;
+    if (pos)
+      points = points.concat(this.liveWire.getPath(pos[0], pos[1]).slice(1));
+    context.strokeStyle = "#FA6900";
+    context.lineWidth = 1;
+    context.beginPath();
+    context.moveTo(points[0][0] + 0.5, points[0][1] + 0.5);
+    for (i = 1; i < points.length; ++i)
+      context.lineTo(points[i][0] + 0.5, points[i][1] + 0.5);
+    context.stroke();
+    context.fillStyle = "#FA6900";
+    context.fillRect(this.liveWirePoints[0][0] - 2,
+                     this.liveWirePoints[0][1] - 2, 5, 5);
+  };
+
+  // rectangle and ellipse tools. Shift keeps the aspect ratio 1:1 and alt
+  // draws from the center.
+  Annotator.prototype._startShapeDrag = function (pos, event) {
+    this.shapeDrag = { start: pos, rect: [pos[0], pos[1], pos[0], pos[1]] };
+    this._dragShape(pos, event);
+  };
+
+  Annotator.prototype._dragShape = function (pos, event) {
+    var drag = this.shapeDrag,
+        start = drag.start,
+        dx = pos[0] - start[0],
+        dy = pos[1] - start[1],
+        context = this.layers.overlay.canvas.getContext("2d");
+    if (event.shiftKey) {
+      var size = Math.max(Math.abs(dx), Math.abs(dy));
+      dx = (dx < 0) ? -size : size;
+      dy = (dy < 0) ? -size : size;
+    }
+    drag.rect = (event.altKey) ?
+        [start[0] - Math.abs(dx), start[1] - Math.abs(dy),
+         start[0] + Math.abs(dx), start[1] + Math.abs(dy)] :
+        [start[0], start[1], start[0] + dx, start[1] + dy];
+    var left = Math.min(drag.rect[0], drag.rect[2]),
+        top = Math.min(drag.rect[1], drag.rect[3]),
+        width = Math.abs(drag.rect[2] - drag.rect[0]) + 1,
+        height = Math.abs(drag.rect[3] - drag.rect[1]) + 1;
+    context.clearRect(0, 0, this.width, this.height);
+    context.strokeStyle = "#FA6900";
+    context.fillStyle = "rgba(250, 105, 0, 0.3)";
+    context.lineWidth = 1;
+    context.beginPath();
+    if (this.mode === "ellipse")
+      context.ellipse(left + width / 2, top + height / 2,
+                      width / 2, height / 2, 0, 0, 2 * Math.PI);
+    else
+      context.rect(left, top, width, height);
+    context.fill();
+    context.stroke();
+  };
+
+  // A click without a drag fills nothing.
+  Annotator.prototype._endShapeDrag = function () {
+    var drag = this.shapeDrag;
+    if (!drag)
+      return;
+    this._cancelShapeDrag();
+    if (drag.rect[0] !== drag.rect[2] || drag.rect[1] !== drag.rect[3])
+      this.fillShape(this.mode, drag.rect);
+  };
+
+  Annotator.prototype._cancelShapeDrag = function () {
+    if (!this.shapeDrag)
+      return;
+    this.shapeDrag = null;
+    this.layers.overlay.canvas.getContext("2d")
+                       .clearRect(0, 0, this.width, this.height);
+  };
+
+  // Lab image for color similarity, computed once per image.
+  Annotator.prototype._getLabImage = function () {
+    if (!this.labImage)
+      this.labImage = colorspace.rgb2lab(this.layers.image.imageData);
+    return this.labImage;
+  };
+
+  // brush tool.
+  // Stylus pressure scales the radius; the half pressure is the set radius.
+  Annotator.prototype._getBrushRadius = function () {
+    if (this.pointerPressure === null)
+      return this.brushRadius;
+    return Math.round(2 * this.brushRadius * this.pointerPressure);
+  };
+
+  Annotator.prototype._getBrushLabel = function () {
+    return (this.mode === "eraser") ?
+           this.defaultLabel : this._getPaintLabel();
+  };
+
+  // Get pixel offsets covered by the brush swept from one position to another.
+  Annotator.prototype._getBrushPixels = function (from, to) {
+    var radius = this._getBrushRadius(),
+        width = this.width,
+        height = this.height,
+        dx = to[0] - from[0],
+        dy = to[1] - from[1],
+        steps = Math.max(1, Math.ceil(Math.max(Math.abs(dx), Math.abs(dy)) /
+                                      Math.max(radius, 1))),
+        left = Math.max(Math.min(from[0], to[0]) - radius, 0),
+        top = Math.max(Math.min(from[1], to[1]) - radius, 0),
+        right = Math.min(Math.max(from[0], to[0]) + radius, width - 1),
+        bottom = Math.min(Math.max(from[1], to[1]) + radius, height - 1),
+        maskWidth = right - left + 1,
+        mask = new Uint8Array(maskWidth * Math.max(bottom - top + 1, 0)),
+        squaredRadius = (radius + 0.5) * (radius + 0.5),
+        pixels = [],
+        i, x, y;
+    for (i = 0; i <= steps; ++i) {
+      var cx = Math.round(from[0] + dx * i / steps),
+          cy = Math.round(from[1] + dy * i / steps);
+      for (y = Math.max(cy - radius, top);
+           y <= Math.min(cy + radius, bottom); ++y) {
+        for (x = Math.max(cx - radius, left);
+             x <= Math.min(cx + radius, right); ++x) {
+          if (this.brushShape === "square" ||
+              (x - cx) * (x - cx) + (y - cy) * (y - cy) <= squaredRadius)
+            mask[(y - top) * maskWidth + (x - left)] = 1;
+        }
+      }
+    }
+    for (y = top; y <= bottom; ++y)
+      for (x = left; x <= right; ++x)
+        if (mask[(y - top) * maskWidth + (x - left)])
+          pixels.push(4 * (y * width + x));
+    return pixels;
+  };
+
+  // Draw the brush outline on the overlay, or clear it when pos is null.
+  Annotator.prototype._updateBrushCursor = function (pos) {
+    var context = this.layers.overlay.canvas.getContext("2d"),
+        radius = this._getBrushRadius() + 0.5;
+    context.clearRect(0, 0, this.width, this.height);
+    if (!pos)
+      return;
+    context.strokeStyle = "rgba(0, 0, 0, 0.8)";
+    context.lineWidth = 1;
+    context.beginPath();
+    if (this.brushShape === "square")
+      context.rect(pos[0] + 0.5 - radius, pos[1] + 0.5 - radius,
+                   2 * radius, 2 * radius);
+    else
+      context.arc(pos[0] + 0.5, pos[1] + 0.5, radius, 0, 2 * Math.PI);
+    context.stroke();
+  };
+
+  // Group subsequent updates into a single history record.
+  Annotator.prototype._beginStroke = function () {
+    this.currentStroke = { pixels: [], prev: [], next: [], lastPos: null };
+  };
+
+  Annotator.prototype._endStroke = function () {
+    var stroke = this.currentStroke;
+    this.currentStroke = null;
+    if (!stroke || stroke.pixels.length === 0)
+      return;
+    this._updateHistory({
+      pixels: stroke.pixels,
+      prev: stroke.prev,
+      next: stroke.next
+    });
+    this._notifyChange("edit", stroke.pixels.length,
+                       [stroke.prev, stroke.next]);
   };
 
   Annotator.prototype._updateHighlight = function (pixels) {
@@ -577,17 +2074,20 @@ function (Layer, segmentation, morph) {
         boundaryData = this.layers.boundary.imageData.data,
         annotationData = this.layers.annotation.imageData.data,
         i,
+        label,
         color,
         offset;
     if (this.currentPixels !== null) {
       for (i = 0; i < this.currentPixels.length; ++i) {
         offset = this.currentPixels[i];
-        color = this.colormap[_getEncodedLabel(annotationData, offset)];
+        label = _getEncodedLabel(annotationData, offset);
+        color = this.colormap[this.getLabelOf(label)];
         visualizationData[offset + 0] = color[0];
         visualizationData[offset + 1] = color[1];
         visualizationData[offset + 2] = color[2];
-        visualizationData[offset + 3] = this.visualizationAlpha;
+        visualizationData[offset + 3] = this._getLabelAlpha(label);
       }
+      this._invalidatePixels(this.layers.visualization, this.currentPixels);
     }
     this.currentPixels = pixels;
     if (this.currentPixels !== null) {
@@ -603,27 +2103,132 @@ function (Layer, segmentation, morph) {
           visualizationData[offset + 3] = this.highlightAlpha;
         }
       }
+      this._invalidatePixels(this.layers.visualization, pixels);
     }
-    this.layers.visualization.render();
-    this.layers.boundary.render();
+    // An empty mark keeps render() from drawing everything without changes.
+    this.layers.visualization.invalidate(0, 0, 0, 0).render();
     if (typeof this.onhighlight === "function")
       this.onhighlight.call(this);
+    this._emit("highlight", { pixels: (pixels) ? pixels.length : 0 });
+  };
+
+  // Call the listeners with an event object of the type and the detail.
+  Annotator.prototype._emit = function (type, detail) {
+    var listeners = this.listeners[type];
+    if (!listeners || listeners.length === 0)
+      return;
+    var event = { type: type, target: this };
+    for (var key in detail)
+      event[key] = detail[key];
+    listeners = listeners.slice();
+    for (var i = 0; i < listeners.length; ++i)
+      listeners[i].call(this, event);
+  };
+
+  // Notify the annotation change to onchange and the change listeners. The
+  // affected labels are collected from the given label arrays.
+  Annotator.prototype._notifyChange = function (action, numPixels,
+                                                labelArrays) {
+    if (typeof this.onchange === "function")
+      this.onchange.call(this);
+    if (!this.listeners.change || this.listeners.change.length === 0)
+      return;
+    var labels = [], i, j;
+    for (i = 0; i < labelArrays.length; ++i) {
+      for (j = 0; j < labelArrays[i].length; ++j) {
+        var label = this.getLabelOf(labelArrays[i][j]);
+        if (labels.indexOf(label) < 0)
+          labels.push(label);
+      }
+    }
+    this._emit("change", {
+      action: action,
+      pixels: numPixels,
+      labels: labels.sort(function (a, b) { return a - b; }),
+      tool: this.mode,
+      historyIndex: this.history.current
+    });
+  };
+
+  // Get the encoded labels at the pixel offsets.
+  Annotator.prototype._getLabels = function (pixels) {
+    var data = this.layers.annotation.imageData.data,
+        labels = new Int32Array(pixels.length);
+    for (var i = 0; i < pixels.length; ++i)
+      labels[i] = _getEncodedLabel(data, pixels[i]);
+    return labels;
+  };
+
+  // Get the encoded label of each pixel.
+  Annotator.prototype._getLabelImage = function () {
+    var data = this.layers.annotation.imageData.data,
+        labels = new Uint32Array(data.length / 4);
+    for (var i = 0; i < labels.length; ++i)
+      labels[i] = _getEncodedLabel(data, 4 * i);
+    return labels;
   };
 
   Annotator.prototype._fillPixels = function (pixels, labels) {
     if (pixels.length !== labels.length)
       throw "Invalid fill: " + pixels.length + " !== " + labels.length;
     var annotationData = this.layers.annotation.imageData.data,
-        visualizationData = this.layers.visualization.imageData.data;
+        visualizationData = this.layers.visualization.imageData.data,
+        isHidden = this.hiddenLabels.length > 0;
     for (var i = 0; i < pixels.length; ++i) {
       var offset = pixels[i],
           label = labels[i],
-          color = this.colormap[label];
+          color = this.colormap[this.getLabelOf(label)];
       _setEncodedLabel(annotationData, offset, label);
       visualizationData[offset + 0] = color[0];
       visualizationData[offset + 1] = color[1];
       visualizationData[offset + 2] = color[2];
+      if (isHidden || visualizationData[offset + 3] === 0)
+        visualizationData[offset + 3] = this._getLabelAlpha(label);
+    }
+    this._invalidatePixels(this.layers.visualization, pixels);
+  };
+
+  // Mark the bounding box of the pixel offsets to render in the layer.
+  Annotator.prototype._invalidatePixels = function (layer, pixels) {
+    var width = this.width,
+        left = width,
+        top = this.height,
+        right = -1,
+        bottom = -1;
+    for (var i = 0; i < pixels.length; ++i) {
+      var index = pixels[i] / 4,
+          x = index % width,
+          y = (index - x) / width;
+      if (x < left) left = x;
+      if (x > right) right = x;
+      if (y < top) top = y;
+      if (y > bottom) bottom = y;
+    }
+    layer.invalidate(left, top, right - left + 1, bottom - top + 1);
+  };
+
+  Annotator.prototype._getLabelAlpha = function (label) {
+    return (this.hiddenLabels.indexOf(this.getLabelOf(label)) >= 0) ?
+           0 : this.visualizationAlpha;
+  };
+
+  // Get the encoded value to paint with the current label and instance.
+  Annotator.prototype._getPaintLabel = function () {
+    return (this.instanceMode) ?
+           (this.currentInstance << 8) | this.currentLabel : this.currentLabel;
+  };
+
+  // Reset the visualization alpha of every pixel by the label visibility.
+  Annotator.prototype._updateVisualizationAlpha = function () {
+    var annotationData = this.layers.annotation.imageData.data,
+        visualizationData = this.layers.visualization.imageData.data;
+    if (this.hiddenLabels.length === 0) {
+      this.layers.visualization.setAlpha(this.visualizationAlpha);
+      return;
     }
+    for (var i = 0; i < annotationData.length; i += 4)
+      visualizationData[i + 3] =
+          this._getLabelAlpha(_getEncodedLabel(annotationData, i));
   };
 
   // Update label.
@@ -634,11 +2239,18 @@ function (Layer, segmentation, morph) {
     updates = this._getDifferentialUpdates(pixels, labels);
     if (updates.pixels.length === 0)
       return this;
-    this._updateHistory(updates);
     this._fillPixels(updates.pixels, updates.next);
     this.layers.visualization.render();
-    if (typeof this.onchange === "function")
-      this.onchange.call(this);
+    if (this.currentStroke) {
+      // A single label is painted per stroke, so a pixel changes only once.
+      Array.prototype.push.apply(this.currentStroke.pixels, updates.pixels);
+      Array.prototype.push.apply(this.currentStroke.prev, updates.prev);
+      Array.prototype.push.apply(this.currentStroke.next, updates.next);
+      return this;
+    }
+    this._updateHistory(updates);
+    this._notifyChange("edit", updates.pixels.length,
+                       [updates.prev, updates.next]);
     return this;
   };
 
@@ -647,10 +2259,12 @@ function (Layer, segmentation, morph) {
     if (pixels.length !== labels.length)
       throw "Invalid labels";
     var annotationData = this.layers.annotation.imageData.data,
+        isMasked = this.paintOverLabels !== null ||
+                   this.protectedLabels.length > 0,
         updates = { pixels: [], prev: [], next: [] };
     for (var i = 0; i < pixels.length; ++i) {
       var label = _getEncodedLabel(annotationData, pixels[i]);
-      if (label !== labels[i]) {
+      if (label !== labels[i] && (!isMasked || this.isPaintable(label))) {
         updates.pixels.push(pixels[i]);
         updates.prev.push(label);
         updates.next.push(labels[i]);
@@ -660,14 +2274,201 @@ function (Layer, segmentation, morph) {
   };
 
   Annotator.prototype._updateHistory = function (updates) {
-    this.history = this.history.slice(0, this.currentHistoryRecord + 1);
     this.history.push(updates);
-    if (this.history.length > this.maxHistoryRecord)
-      this.history = this.history.slice(1, this.history.length);
-    else
-      ++this.currentHistoryRecord;
   };
 
+  var MAX_INSTANCE = 255;
+
+  var MIN_ZOOM = 0.05,
+      MAX_ZOOM = 32,
+      MINIMAP_SIZE = 160,
+      WHEEL_SPEED = 0.002;
+
+  // Touch input thresholds in milliseconds and CSS pixels.
+  var LONG_PRESS_DELAY = 500,
+      TOUCH_SLOP = 8;
+
+  // Tool registry. A tool is an object of optional handlers, all called with
+  // the annotator as this:
+  //
+  //   activate(options), deactivate(),
+  //   pointerdown(pos, event), pointermove(pos, event, button),
+  //   pointerup(pos, event), pointerleave(event), dblclick(pos, event),
+  //   keydown(event)
+  //
+  // The button of pointermove is the pressed button or null. Unless the tool
+  // sets pickLabel to false, dragging with the right button picks the label
+  // under the cursor.
+  var tools = {};
+
+  Annotator.registerTool = function (name, tool) {
+    if (typeof name !== "string" || typeof tool !== "object")
+      throw "Invalid tool";
+    tools[name] = tool;
+    return Annotator;
+  };
+
+  Annotator.getTools = function () {
+    return Object.keys(tools);
+  };
+
+  function _getSuperpixelAt(annotator, pos) {
+    var superpixelData = annotator.layers.superpixel.imageData.data,
+        offset = 4 * (pos[1] * annotator.width + pos[0]);
+    return annotator.pixelIndex[_getEncodedLabel(superpixelData, offset)] ||
+           null;
+  }
+
+  Annotator.registerTool("superpixel", {
+    deactivate: function () {
+      this._updateHighlight(null);
+    },
+    pointermove: function (pos, event, button) {
+      var pixels = _getSuperpixelAt(this, pos);
+      this._updateHighlight(pixels);
+      if (button === 0 && pixels)
+        this._updateAnnotation(pixels, this._getPaintLabel());
+    },
+    pointerleave: function () {
+      this._updateHighlight(null);
+    }
+  });
+
+  var brushTool = {
+    deactivate: function () {
+      this._endStroke();
+      this._updateBrushCursor(null);
+    },
+    pointerdown: function (pos, event) {
+      if (event.button !== 0)
+        return;
+      this._beginStroke();
+      this.brush(pos, this._getBrushLabel());
+    },
+    pointermove: function (pos, event, button) {
+      this._updateBrushCursor(pos);
+      if (button === 0)
+        this.brush(pos, this._getBrushLabel());
+    },
+    pointerup: function () {
+      this._endStroke();
+    },
+    pointerleave: function () {
+      this._updateBrushCursor(null);
+      // Restart the stroke where the pointer comes back in.
+      if (this.currentStroke)
+        this.currentStroke.lastPos = null;
+    }
+  };
+  Annotator.registerTool("brush", brushTool);
+  Annotator.registerTool("eraser", brushTool);
+
+  Annotator.registerTool("fill", {
+    pointerdown: function (pos, event) {
+      if (event.button === 0)
+        this.floodFill(pos);
+    }
+  });
+
+  Annotator.registerTool("wand", {
+    deactivate: function () {
+      this.clearSelection();
+    },
+    pointerdown: function (pos, event) {
+      if (event.button === 0)
+        this._clickWand(pos);
+    }
+  });
+
+  Annotator.registerTool("grabcut", {
+    pickLabel: false,
+    deactivate: function () {
+      this.clearSelection();
+    },
+    pointerdown: function (pos, event) {
+      this._startGrabcutDrag(pos, event.button);
+    },
+    pointermove: function (pos, event, button) {
+      if (button !== null)
+        this._dragGrabcut(pos);
+    },
+    pointerup: function () {
+      this._endGrabcutDrag();
+    }
+  });
+
+  Annotator.registerTool("livewire", {
+    pickLabel: false,
+    deactivate: function () {
+      this._emptyLiveWirePoints();
+    },
+    pointerdown: function (pos, event) {
+      if (event.button === 0)
+        this._addLiveWirePoint(pos);
+      else if (event.button === 2)
+        this._emptyLiveWirePoints();
+    },
+    pointermove: function (pos) {
+      this._drawLiveWire(pos);
+    }
+  });
+
+  Annotator.registerTool("polygon", {
+    pickLabel: false,
+    deactivate: function () {
+      this.polygonDrag = null;
+      if (this.polygonPoints.length > 0)
+        this._emptyPolygonPoints();
+    },
+    pointerdown: function (pos, event) {
+      this._pressPolygon(pos, event.button);
+    },
+    pointermove: function (pos) {
+      this._movePolygonCursor(pos);
+    },
+    pointerup: function () {
+      this.polygonDrag = null;
+    },
+    pointerleave: function () {
+      this._drawPolygon(null);
+    },
+    dblclick: function () {
+      this.closePolygon();
+    },
+    keydown: function (event) {
+      var key = event.keyCode ? event.keyCode : event.which;
+      if (this.polygonPoints.length === 0)
+        return;
+      if (key == 8) {
+        this.removeLastPolygonPoint();
+        event.preventDefault();
+      }
+      else if (key == 13)
+        this.commitPolygon();
+      else if (key == 27)
+        this.cancelPolygon();
+    }
+  });
+
+  var shapeTool = {
+    deactivate: function () {
+      this._cancelShapeDrag();
+    },
+    pointerdown: function (pos, event) {
+      if (event.button === 0)
+        this._startShapeDrag(pos, event);
+    },
+    pointermove: function (pos, event) {
+      if (this.shapeDrag)
+        this._dragShape(pos, event);
+    },
+    pointerup: function () {
+      this._endShapeDrag();
+    }
+  };
+  Annotator.registerTool("rectangle", shapeTool);
+  Annotator.registerTool("ellipse", shapeTool);
+
   function _fillArray(array, value) {
     for (var i = 0; i < array.length; ++i)
       array[i] = value;
@@ -0,0 +1,189 @@
+/** Superpixel segmentation in a Web Worker.
+ *
+ *  var segm = new SegmentationWorker(imageData, {
+ *    method: "slic",
+ *    regionSize: 25,
+ *    onprogress: function (progress) {},
+ *    onload: function () { console.log(this.result.numSegments); },
+ *    onerror: function (message) {}
+ *  });
+ *  segm.finer();    // Cancels the computation in progress, if any.
+ *  segm.coarser();
+ *  segm.terminate();
+ *
+ * The image and the result are passed to and from the worker as transferable
+ * buffers. Since a running computation cannot be interrupted, cancellation
+ * terminates the worker, and a new worker replays the finer and coarser steps
+ * with a single computation. Without Web Workers, or with the worker option
+ * set to false, the segmentation runs on the main thread and onload is called
+ * before the constructor or the method returns.
+ *
+ * Copyright 2015  Kota Yamaguchi
+ */
+define(["require",
+        "../image/segmentation"],
+function (require, segmentation) {
+  function SegmentationWorker(imageData, options) {
+    options = options || {};
+    this.imageData = imageData;
+    this.onload = options.onload || null;
+    this.onprogress = options.onprogress || null;
+    this.onerror = options.onerror || null;
+    this.options = {};
+    for (var key in options) {
+      if (typeof options[key] !== "function" && key !== "worker")
+        this.options[key] = options[key];
+    }
+    this.useWorker = options.worker !== false &&
+                     typeof Worker !== "undefined";
+    this.worker = null;
+    this.segmentation = null;
+    this.steps = [];
+    this.appliedSteps = 0;
+    this.requestId = 0;
+    this.busy = false;
+    this.result = null;
+    this._request();
+  }
+
+  SegmentationWorker.prototype.finer = function () {
+    this.steps.push("finer");
+    return this._request();
+  };
+
+  SegmentationWorker.prototype.coarser = function () {
+    this.steps.push("coarser");
+    return this._request();
+  };
+
+  // Stop the computation in progress. The next request restarts the worker.
+  SegmentationWorker.prototype.cancel = function () {
+    if (this.busy && this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.busy = false;
+    return this;
+  };
+
+  // Stop the worker. No callback is called afterwards.
+  SegmentationWorker.prototype.terminate = function () {
+    if (this.worker)
+      this.worker.terminate();
+    this.worker = null;
+    this.busy = false;
+    this.requestId += 1;
+    return this;
+  };
+
+  SegmentationWorker.prototype._request = function () {
+    if (!this.useWorker)
+      return this._computeOnMainThread();
+    this.cancel();
+    var isNewWorker = !this.worker;
+    if (isNewWorker) {
+      try {
+        this._startWorker();
+      }
+      catch (error) {
+        // E.g., pages opened from file: cannot start workers.
+        this.useWorker = false;
+        return this._computeOnMainThread();
+      }
+    }
+    this.requestId += 1;
+    this.busy = true;
+    this._reportProgress(0);
+    if (isNewWorker) {
+      var data = new Uint8ClampedArray(this.imageData.data);
+      this.worker.postMessage({
+        id: this.requestId,
+        type: "create",
+        width: this.imageData.width,
+        height: this.imageData.height,
+        buffer: data.buffer,
+        options: this.options,
+        steps: this.steps
+      }, [data.buffer]);
+    }
+    else {
+      this.worker.postMessage({
+        id: this.requestId,
+        type: "adjust",
+        steps: this.steps.slice(this.appliedSteps)
+      });
+    }
+    this.appliedSteps = this.steps.length;
+    return this;
+  };
+
+  SegmentationWorker.prototype._startWorker = function () {
+    var client = this;
+    this.worker = new Worker(require.toUrl("../image/segmentation/worker.js"));
+    this.worker.onmessage = function (event) {
+      var message = event.data;
+      if (message.id !== client.requestId)
+        return;
+      if (message.type === "progress")
+        client._reportProgress(message.progress);
+      else if (message.type === "result") {
+        client.busy = false;
+        client.result = new ImageData(new Uint8ClampedArray(message.buffer),
+                                      message.width,
+                                      message.height);
+        client.result.numSegments = message.numSegments;
+        if (typeof client.onload === "function")
+          client.onload.call(client);
+      }
+      else if (message.type === "error") {
+        client.busy = false;
+        client._fail(message.message);
+      }
+    };
+    // The worker script failed to load. Fall back to the main thread.
+    this.worker.onerror = function (event) {
+      event.preventDefault();
+      client.terminate();
+      client.useWorker = false;
+      client._computeOnMainThread();
+    };
+  };
+
+  SegmentationWorker.prototype._computeOnMainThread = function () {
+    var client = this;
+    try {
+      if (!this.segmentation) {
+        var options = { onprogress: function (progress) {
+          client._reportProgress(progress);
+        } };
+        for (var key in this.options)
+          options[key] = this.options[key];
+        this.segmentation = segmentation.create(this.imageData, options);
+        this.appliedSteps = 0;
+      }
+      this.segmentation.adjust(this.steps.slice(this.appliedSteps));
+      this.appliedSteps = this.steps.length;
+    }
+    catch (error) {
+      this._fail(String(error));
+      return this;
+    }
+    this.result = this.segmentation.result;
+    if (typeof this.onload === "function")
+      this.onload.call(this);
+    return this;
+  };
+
+  SegmentationWorker.prototype._reportProgress = function (progress) {
+    if (typeof this.onprogress === "function")
+      this.onprogress.call(this, progress);
+  };
+
+  SegmentationWorker.prototype._fail = function (message) {
+    if (typeof this.onerror !== "function")
+      throw message;
+    this.onerror.call(this, message);
+  };
+
+  return SegmentationWorker;
+});
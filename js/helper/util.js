@@ -14,6 +14,22 @@ define(function () {
     xmlhttp.send();
   }
 
+  // Get binary data by AJAX request.
+  function requestArrayBuffer(url, callback, errorCallback) {
+    var xmlhttp = new XMLHttpRequest();
+    xmlhttp.onreadystatechange = function() {
+      if (xmlhttp.readyState != 4)
+        return;
+      if (xmlhttp.status == 200)
+        callback(xmlhttp.response);
+      else if (typeof errorCallback === "function")
+        errorCallback("Failed to load " + url);
+    };
+    xmlhttp.open("GET", url, true);
+    xmlhttp.responseType = "arraybuffer";
+    xmlhttp.send();
+  }
+
   // Parse query params.
   function getQueryParams(queryString) {
     var tokens,
@@ -60,6 +76,7 @@ define(function () {
 
   return {
     requestJSON: requestJSON,
+    requestArrayBuffer: requestArrayBuffer,
     getQueryParams: getQueryParams,
     makeQueryParams: makeQueryParams
   };
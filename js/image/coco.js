@@ -0,0 +1,391 @@
+/** COCO format annotations of an index image.
+ *
+ *  var indexImage = morph.decodeIndexImage(imageData);
+ *  var dataset = coco.createDataset(indexImage, {
+ *    labels: ["background", "skin", "hair"],
+ *    fileName: "1.jpg",
+ *    segmentation: "polygon"  // Or "rle" or "compressed".
+ *  });
+ *  // { images: [...], annotations: [...], categories: [...] }
+ *
+ *  var rle = coco.encodeRLE(mask, width, height);  // { size, counts }
+ *  rle.counts = coco.compressCounts(rle.counts);
+ *
+ *  var decoded = coco.createIndexImage(dataset, {
+ *    labels: ["background", "skin", "hair"],
+ *    fileName: "1.jpg"
+ *  });
+ *  // { indexImage: {...}, unmatchedCategories: ["person"] }
+ *
+ * Each connected component of a label becomes an annotation. In the instance
+ * mode, where the value is (instance << 8) | label, each instance becomes one
+ * annotation with as many polygons as its components. The category id of a
+ * label is its index unless given by categoryIds, and null skips the label.
+ * Polygons are traced along pixel edges and simplified within tolerance
+ * pixels (default 1). A polygon has no holes, so use RLE for exact masks.
+ *
+ * On import, categories map to labels by name, and larger annotations are
+ * drawn first so that smaller ones stay on top. The image is looked up by
+ * imageId, then by the base name of fileName, or is the only image.
+ *
+ * Copyright 2015  Kota Yamaguchi
+ */
+define(["./contour"],
+function (contour) {
+  // Instance ids fit in 8 bits, as in the annotator.
+  var MAX_INSTANCE = 255;
+
+  // Create annotations of the index image.
+  function createAnnotations(indexImage, options) {
+    options = options || {};
+    var components = contour.findComponents(indexImage),
+        regions = components.regions,
+        ignoreLabels = options.ignoreLabels || [0],
+        groups = [],
+        instanceGroups = {},
+        annotations = [],
+        i;
+    for (i = 0; i < regions.length; ++i) {
+      var value = regions[i].value,
+          label = (options.instanceMode) ? value & 255 : value,
+          categoryId = getCategoryId(label, options.categoryIds);
+      if (ignoreLabels.indexOf(label) >= 0 || categoryId === null)
+        continue;
+      if (options.instanceMode && (value >>> 8) > 0) {
+        if (!instanceGroups.hasOwnProperty(value)) {
+          instanceGroups[value] = { categoryId: categoryId, ids: [] };
+          groups.push(instanceGroups[value]);
+        }
+        instanceGroups[value].ids.push(i);
+      }
+      else
+        groups.push({ categoryId: categoryId, ids: [i] });
+    }
+    for (i = 0; i < groups.length; ++i) {
+      var annotation = createAnnotation(components, groups[i].ids, options);
+      annotation.id = (options.startId || 1) + i;
+      annotation.image_id = options.imageId || 1;
+      annotation.category_id = groups[i].categoryId;
+      annotations.push(annotation);
+    }
+    return annotations;
+  }
+
+  // Create a COCO dataset of a single image.
+  function createDataset(indexImage, options) {
+    options = options || {};
+    var labels = options.labels || [],
+        ignoreLabels = options.ignoreLabels || [0],
+        categories = [];
+    for (var i = 0; i < labels.length; ++i) {
+      var categoryId = getCategoryId(i, options.categoryIds);
+      if (ignoreLabels.indexOf(i) < 0 && categoryId !== null)
+        categories.push({ id: categoryId, name: labels[i] });
+    }
+    return {
+      images: [{
+        id: options.imageId || 1,
+        width: indexImage.width,
+        height: indexImage.height,
+        file_name: options.fileName || ""
+      }],
+      annotations: createAnnotations(indexImage, options),
+      categories: categories
+    };
+  }
+
+  function getCategoryId(label, categoryIds) {
+    if (!categoryIds)
+      return label;
+    return (categoryIds[label] === undefined) ? null : categoryIds[label];
+  }
+
+  function createAnnotation(components, ids, options) {
+    var width = components.width,
+        height = components.height,
+        format = options.segmentation || "polygon",
+        tolerance = (options.tolerance === undefined) ? 1 : options.tolerance,
+        members = {},
+        area = 0,
+        left = width,
+        top = height,
+        right = 0,
+        bottom = 0,
+        segmentation,
+        i;
+    for (i = 0; i < ids.length; ++i) {
+      var region = components.regions[ids[i]];
+      members[ids[i]] = true;
+      area += region.area;
+      left = Math.min(left, region.bbox[0]);
+      top = Math.min(top, region.bbox[1]);
+      right = Math.max(right, region.bbox[0] + region.bbox[2]);
+      bottom = Math.max(bottom, region.bbox[1] + region.bbox[3]);
+    }
+    if (format === "polygon") {
+      segmentation = ids.map(function (id) {
+        var points = contour.simplify(contour.traceBoundary(components, id),
+                                      tolerance);
+        return [].concat.apply([], points);
+      });
+    }
+    else if (format === "rle" || format === "compressed") {
+      segmentation = {
+        size: [height, width],
+        counts: countRuns(width, height, left, right, function (index) {
+          return members.hasOwnProperty(components.data[index]);
+        })
+      };
+      if (format === "compressed")
+        segmentation.counts = compressCounts(segmentation.counts);
+    }
+    else
+      throw "Invalid segmentation: " + format;
+    return {
+      segmentation: segmentation,
+      area: area,
+      bbox: [left, top, right - left, bottom - top],
+      iscrowd: options.iscrowd || 0
+    };
+  }
+
+  // Encode a row-major binary mask in uncompressed RLE.
+  function encodeRLE(mask, width, height) {
+    return {
+      size: [height, width],
+      counts: countRuns(width, height, 0, width, function (index) {
+        return !!mask[index];
+      })
+    };
+  }
+
+  // Count runs in column-major order starting with 0s. Columns outside
+  // [left, right) are 0.
+  function countRuns(width, height, left, right, isInside) {
+    var counts = [],
+        count = left * height,
+        current = false;
+    for (var x = left; x < right; ++x) {
+      for (var y = 0; y < height; ++y) {
+        if (isInside(y * width + x) !== current) {
+          counts.push(count);
+          count = 0;
+          current = !current;
+        }
+        ++count;
+      }
+    }
+    if (current) {
+      counts.push(count);
+      count = 0;
+    }
+    count += (width - right) * height;
+    if (count > 0 || counts.length === 0)
+      counts.push(count);
+    return counts;
+  }
+
+  // Compress RLE counts into a string as pycocotools does.
+  function compressCounts(counts) {
+    var string = "";
+    for (var i = 0; i < counts.length; ++i) {
+      var x = counts[i],
+          more = true;
+      if (i > 2)
+        x -= counts[i - 2];
+      while (more) {
+        var c = x & 0x1f;
+        x >>= 5;
+        more = (c & 0x10) ? x !== -1 : x !== 0;
+        if (more)
+          c |= 0x20;
+        string += String.fromCharCode(c + 48);
+      }
+    }
+    return string;
+  }
+
+  // Rasterize the annotations of an image into an index image.
+  function createIndexImage(dataset, options) {
+    options = options || {};
+    var image = findImage(dataset, options),
+        width = options.width || image.width,
+        height = options.height || image.height,
+        labels = options.labels || [],
+        labelOf = {},
+        unmatchedCategories = [],
+        instance = 0,
+        i;
+    if (image.width !== width || image.height !== height)
+      throw "Invalid image size: " + image.width + "x" + image.height;
+    var indexImage = {
+      width: width,
+      height: height,
+      data: new Int32Array(width * height)
+    };
+    for (i = 0; i < indexImage.data.length; ++i)
+      indexImage.data[i] = options.defaultLabel || 0;
+    (dataset.categories || []).forEach(function (category) {
+      labelOf[category.id] = labels.indexOf(category.name);
+    });
+    var annotations = (dataset.annotations || []).filter(function (item) {
+      return item.image_id === image.id;
+    }).sort(function (a, b) { return (b.area || 0) - (a.area || 0); });
+    for (i = 0; i < annotations.length; ++i) {
+      var annotation = annotations[i],
+          label = labelOf[annotation.category_id];
+      if (label === undefined || label < 0) {
+        var name = getCategoryName(dataset, annotation.category_id);
+        if (unmatchedCategories.indexOf(name) < 0)
+          unmatchedCategories.push(name);
+        continue;
+      }
+      var mask = decodeSegmentation(annotation.segmentation, width, height),
+          value = label;
+      if (options.instanceMode) {
+        if (++instance > MAX_INSTANCE)
+          throw "Too many instances: " + MAX_INSTANCE;
+        value |= instance << 8;
+      }
+      for (var j = 0; j < mask.length; ++j) {
+        if (mask[j])
+          indexImage.data[j] = value;
+      }
+    }
+    return {
+      indexImage: indexImage,
+      unmatchedCategories: unmatchedCategories
+    };
+  }
+
+  function findImage(dataset, options) {
+    var images = dataset.images || [],
+        basename = (options.fileName) ?
+            options.fileName.split(/[\\/]/).pop() : null;
+    for (var i = 0; i < images.length; ++i) {
+      if (options.imageId !== undefined) {
+        if (images[i].id === options.imageId)
+          return images[i];
+      }
+      else if (basename !== null) {
+        if (String(images[i].file_name).split(/[\\/]/).pop() === basename)
+          return images[i];
+      }
+    }
+    if (options.imageId === undefined && basename === null &&
+        images.length === 1)
+      return images[0];
+    throw "Image not found: " + (options.fileName || options.imageId);
+  }
+
+  function getCategoryName(dataset, id) {
+    var categories = dataset.categories || [];
+    for (var i = 0; i < categories.length; ++i) {
+      if (categories[i].id === id)
+        return categories[i].name;
+    }
+    return "category " + id;
+  }
+
+  // Decode polygons or RLE into a row-major binary mask.
+  function decodeSegmentation(segmentation, width, height) {
+    if (segmentation instanceof Array)
+      return rasterizePolygons(segmentation, width, height);
+    if (!segmentation || segmentation.size[0] !== height ||
+        segmentation.size[1] !== width)
+      throw "Invalid segmentation";
+    return decodeRLE(segmentation);
+  }
+
+  // Decode uncompressed or compressed RLE into a row-major binary mask.
+  function decodeRLE(rle) {
+    var height = rle.size[0],
+        width = rle.size[1],
+        counts = (typeof rle.counts === "string") ?
+                 decompressCounts(rle.counts) : rle.counts,
+        mask = new Uint8Array(width * height),
+        index = 0;
+    for (var i = 0; i < counts.length; ++i) {
+      for (var j = 0; j < counts[i] && index < mask.length; ++j, ++index) {
+        if (i % 2) {
+          var y = index % height,
+              x = (index - y) / height;
+          mask[y * width + x] = 1;
+        }
+      }
+    }
+    return mask;
+  }
+
+  // Decompress the RLE string of pycocotools into counts.
+  function decompressCounts(string) {
+    var counts = [],
+        p = 0;
+    while (p < string.length) {
+      var x = 0,
+          k = 0,
+          more = true;
+      while (more) {
+        var c = string.charCodeAt(p) - 48;
+        x |= (c & 0x1f) << (5 * k);
+        more = !!(c & 0x20);
+        ++p;
+        ++k;
+        if (!more && (c & 0x10) && 5 * k < 32)
+          x |= -1 << (5 * k);
+      }
+      if (counts.length > 2)
+        x += counts[counts.length - 2];
+      counts.push(x);
+    }
+    return counts;
+  }
+
+  // Fill the union of polygons, each by the even-odd rule at pixel centers.
+  function rasterizePolygons(polygons, width, height) {
+    var mask = new Uint8Array(width * height);
+    for (var i = 0; i < polygons.length; ++i) {
+      var polygon = polygons[i],
+          n = polygon.length / 2,
+          top = height,
+          bottom = 0,
+          j, k, y;
+      for (j = 0; j < n; ++j) {
+        top = Math.min(top, polygon[2 * j + 1]);
+        bottom = Math.max(bottom, polygon[2 * j + 1]);
+      }
+      top = Math.max(Math.floor(top), 0);
+      bottom = Math.min(Math.ceil(bottom), height);
+      for (y = top; y < bottom; ++y) {
+        var center = y + 0.5,
+            crossings = [];
+        for (j = 0, k = n - 1; j < n; k = j++) {
+          var x1 = polygon[2 * k],
+              y1 = polygon[2 * k + 1],
+              x2 = polygon[2 * j],
+              y2 = polygon[2 * j + 1];
+          if ((y1 <= center) !== (y2 <= center))
+            crossings.push(x1 + (center - y1) * (x2 - x1) / (y2 - y1));
+        }
+        crossings.sort(function (a, b) { return a - b; });
+        for (j = 0; j + 1 < crossings.length; j += 2) {
+          var left = Math.max(Math.ceil(crossings[j] - 0.5), 0),
+              right = Math.min(Math.ceil(crossings[j + 1] - 0.5), width);
+          for (var x = left; x < right; ++x)
+            mask[y * width + x] = 1;
+        }
+      }
+    }
+    return mask;
+  }
+
+  return {
+    createDataset: createDataset,
+    createAnnotations: createAnnotations,
+    createIndexImage: createIndexImage,
+    encodeRLE: encodeRLE,
+    decodeRLE: decodeRLE,
+    compressCounts: compressCounts,
+    decompressCounts: decompressCounts
+  };
+});
@@ -0,0 +1,69 @@
+/** Color space conversion.
+ *
+ * Images are converted into planar Float32Arrays of 3 * width * height, where
+ * the k-th channel of the pixel i is stored at k * width * height + i.
+ *
+ *  var lab = color.rgb2lab(imageData);
+ *  var L = lab[i], a = lab[n + i], b = lab[2 * n + i];
+ */
+define(function () {
+  // Convert RGBA into XYZ color space. rgba: Red Green Blue Alpha.
+  function rgb2xyz(rgba, w, h) {
+    var xyz = new Float32Array(3*w*h),
+        gamma = 2.2;
+    for (var i = 0; i<w*h; i++) {
+      // 1.0 / 255.9 = 0.00392156862.
+      var r = rgba[4*i+0] * 0.00392156862,
+          g = rgba[4*i+1] * 0.00392156862,
+          b = rgba[4*i+2] * 0.00392156862;
+      r = Math.pow(r, gamma);
+      g = Math.pow(g, gamma);
+      b = Math.pow(b, gamma);
+      xyz[i] = (r * 0.4887180 + g * 0.310680 + b * 0.2006020);
+      xyz[i + w*h] = (r * 0.1762040 + g * 0.812985 + b * 0.0108109);
+      xyz[i + 2*w*h] = (g * 0.0102048 + b * 0.989795);
+    }
+    return xyz;
+  }
+
+  // Convert XYZ to Lab.
+  function xyz2lab(xyz, w, h) {
+    function f(x) {
+      if (x > 0.00856)
+        return Math.pow(x, 0.33333333);
+      else
+        return 7.78706891568 * x + 0.1379310336;
+    }
+    var xw = 1.0 / 3.0,
+        yw = 1.0 / 3.0,
+        Yw = 1.0,
+        Xw = xw / yw,
+        Zw = (1-xw-yw) / (yw * Yw),
+        ix = 1.0 / Xw,
+        iy = 1.0 / Yw,
+        iz = 1.0 / Zw,
+        labData = new Float32Array(3*w*h);
+    for (var i = 0; i<w*h; i++) {
+      var fx = f(xyz[i] * ix),
+          fy = f(xyz[w*h + i] * iy),
+          fz = f(xyz[2*w*h + i] * iz);
+      labData[i] = 116.0 * fy - 16.0;
+      labData[i + w*h] = 500.0 * (fx - fy);
+      labData[i + 2*w*h] = 200.0 * (fy - fz);
+    }
+    return labData;
+  }
+
+  // Convert ImageData into Lab color space.
+  function rgb2lab(imageData) {
+    var width = imageData.width,
+        height = imageData.height;
+    return xyz2lab(rgb2xyz(imageData.data, width, height), width, height);
+  }
+
+  return {
+    rgb2xyz: rgb2xyz,
+    xyz2lab: xyz2lab,
+    rgb2lab: rgb2lab
+  };
+});
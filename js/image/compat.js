@@ -3,8 +3,11 @@
  * Copyright 2015  Kota Yamaguchi
  */
 define({
-  // Internet Explorer doesn't support ImageData().
+  // Internet Explorer doesn't support ImageData(). Web Workers have no
+  // document.
   createImageData: function (width, height) {
+    if (typeof document === "undefined")
+      return new ImageData(width, height);
     var context = document.createElement("canvas").getContext("2d");
     return context.createImageData(width, height);
   }
@@ -0,0 +1,249 @@
+/** Connected components and their contours in an index image.
+ *
+ *  var components = contour.findComponents(indexImage);
+ *  var region = components.regions[0];  // { value, area, bbox, start }
+ *  var points = contour.traceBoundary(components, 0);  // [[x, y], ...]
+ *  var holes = contour.traceHoles(components, 0);  // [[[x, y], ...], ...]
+ *  var polygon = contour.simplify(points, 1.0);
+ *
+ * Components are 4-connected, and holes are 8-connected regions of the other
+ * pixels surrounded by a component. Boundaries run along pixel edges with the
+ * component on the right, i.e., clockwise on the screen for the outer boundary
+ * and counterclockwise for holes. A pixel (x, y) spans the corners (x, y) to
+ * (x + 1, y + 1).
+ *
+ * Copyright 2015  Kota Yamaguchi
+ */
+define(function () {
+  // Directions are east, south, west, and north. When moving from a corner,
+  // the pixels ahead on the right and left decide the next direction.
+  var STEPS = [[1, 0], [0, 1], [-1, 0], [0, -1]],
+      AHEAD_RIGHT = [[0, 0], [-1, 0], [-1, -1], [0, -1]],
+      AHEAD_LEFT = [[0, -1], [0, 0], [-1, 0], [-1, -1]];
+
+  // Label 4-connected regions of the same value.
+  function findComponents(indexImage) {
+    var width = indexImage.width,
+        height = indexImage.height,
+        values = indexImage.data,
+        data = new Int32Array(width * height),
+        stack = new Int32Array(width * height),
+        regions = [],
+        i;
+    for (i = 0; i < data.length; ++i)
+      data[i] = -1;
+    for (i = 0; i < data.length; ++i) {
+      if (data[i] >= 0)
+        continue;
+      var id = regions.length,
+          value = values[i],
+          region = {
+            value: value,
+            area: 0,
+            bbox: [width, height, 0, 0],
+            start: i
+          },
+          top = 0;
+      data[i] = id;
+      stack[top++] = i;
+      while (top > 0) {
+        var index = stack[--top],
+            x = index % width,
+            y = (index - x) / width;
+        region.area += 1;
+        region.bbox[0] = Math.min(region.bbox[0], x);
+        region.bbox[1] = Math.min(region.bbox[1], y);
+        region.bbox[2] = Math.max(region.bbox[2], x + 1);
+        region.bbox[3] = Math.max(region.bbox[3], y + 1);
+        if (x > 0 && data[index - 1] < 0 && values[index - 1] === value) {
+          data[index - 1] = id;
+          stack[top++] = index - 1;
+        }
+        if (x < width - 1 && data[index + 1] < 0 &&
+            values[index + 1] === value) {
+          data[index + 1] = id;
+          stack[top++] = index + 1;
+        }
+        if (y > 0 && data[index - width] < 0 &&
+            values[index - width] === value) {
+          data[index - width] = id;
+          stack[top++] = index - width;
+        }
+        if (y < height - 1 && data[index + width] < 0 &&
+            values[index + width] === value) {
+          data[index + width] = id;
+          stack[top++] = index + width;
+        }
+      }
+      // Convert to [x, y, width, height].
+      region.bbox[2] -= region.bbox[0];
+      region.bbox[3] -= region.bbox[1];
+      regions.push(region);
+    }
+    return { width: width, height: height, data: data, regions: regions };
+  }
+
+  // Trace the outer boundary of a component, and return the corner points.
+  function traceBoundary(components, id) {
+    var start = components.regions[id].start,
+        x = start % components.width;
+    // The start pixel comes first in raster order, so only its top-left
+    // corner touches the start corner and the boundary passes it once.
+    return trace(components, id, x, (start - x) / components.width, 0);
+  }
+
+  // Trace the boundaries of the holes in a component.
+  function traceHoles(components, id) {
+    var width = components.width,
+        data = components.data,
+        bbox = components.regions[id].bbox,
+        visited = new Uint8Array(bbox[2] * bbox[3]),
+        stack = new Int32Array(bbox[2] * bbox[3]),
+        holes = [],
+        i;
+    function isOther(bx, by) {
+      return data[(bbox[1] + by) * width + bbox[0] + bx] !== id;
+    }
+    // Mark the 8-connected region of other pixels from (bx, by).
+    function fill(bx, by) {
+      var top = 0;
+      visited[by * bbox[2] + bx] = 1;
+      stack[top++] = by * bbox[2] + bx;
+      while (top > 0) {
+        var index = stack[--top],
+            cx = index % bbox[2],
+            cy = (index - cx) / bbox[2];
+        for (var ny = Math.max(cy - 1, 0);
+             ny <= Math.min(cy + 1, bbox[3] - 1); ++ny) {
+          for (var nx = Math.max(cx - 1, 0);
+               nx <= Math.min(cx + 1, bbox[2] - 1); ++nx) {
+            if (!visited[ny * bbox[2] + nx] && isOther(nx, ny)) {
+              visited[ny * bbox[2] + nx] = 1;
+              stack[top++] = ny * bbox[2] + nx;
+            }
+          }
+        }
+      }
+    }
+    // Other pixels on the edges of the bounding box are outside.
+    for (i = 0; i < visited.length; ++i) {
+      var bx = i % bbox[2],
+          by = (i - bx) / bbox[2],
+          isEdge = bx === 0 || by === 0 || bx === bbox[2] - 1 ||
+                   by === bbox[3] - 1;
+      if (isEdge && !visited[i] && isOther(bx, by))
+        fill(bx, by);
+    }
+    // The pixels to the left, above, and above left of the first pixel of a
+    // hole belong to the component, so the boundary turns at its top-left
+    // corner once, from the west to the south.
+    for (i = 0; i < visited.length; ++i) {
+      var hx = i % bbox[2],
+          hy = (i - hx) / bbox[2];
+      if (visited[i] || !isOther(hx, hy))
+        continue;
+      holes.push(trace(components, id, bbox[0] + hx, bbox[1] + hy, 2));
+      fill(hx, hy);
+    }
+    return holes;
+  }
+
+  // Follow pixel edges from the corner (x0, y0) with the component on the
+  // right. The pixels around the corner may turn the initial direction.
+  function trace(components, id, x0, y0, direction) {
+    var width = components.width,
+        height = components.height,
+        data = components.data,
+        x = x0,
+        y = y0,
+        points = [];
+    function isInside(px, py) {
+      return px >= 0 && py >= 0 && px < width && py < height &&
+             data[py * width + px] === id;
+    }
+    do {
+      var right = AHEAD_RIGHT[direction],
+          left = AHEAD_LEFT[direction],
+          next = direction;
+      if (!isInside(x + right[0], y + right[1]))
+        next = (direction + 1) % 4;
+      else if (isInside(x + left[0], y + left[1]))
+        next = (direction + 3) % 4;
+      if (next !== direction || points.length === 0)
+        points.push([x, y]);
+      direction = next;
+      x += STEPS[direction][0];
+      y += STEPS[direction][1];
+    } while (x !== x0 || y !== y0);
+    return points;
+  }
+
+  // Simplify a closed polygon by the Douglas-Peucker algorithm. The result
+  // keeps at least 3 points.
+  function simplify(points, tolerance) {
+    if (points.length <= 3 || !(tolerance > 0))
+      return points.slice(0);
+    // Split the ring at the first point and the point farthest from it.
+    var farthest = 0,
+        maxDistance = -1,
+        i;
+    for (i = 1; i < points.length; ++i) {
+      var dx = points[i][0] - points[0][0],
+          dy = points[i][1] - points[0][1];
+      if (dx * dx + dy * dy > maxDistance) {
+        maxDistance = dx * dx + dy * dy;
+        farthest = i;
+      }
+    }
+    var first = simplifyChain(points.slice(0, farthest + 1), tolerance),
+        second = simplifyChain(points.slice(farthest).concat([points[0]]),
+                               tolerance),
+        result = first.slice(0, -1).concat(second.slice(0, -1));
+    return (result.length >= 3) ? result : points.slice(0);
+  }
+
+  // Simplify an open chain keeping both ends.
+  function simplifyChain(points, tolerance) {
+    var keep = new Uint8Array(points.length),
+        stack = [[0, points.length - 1]];
+    keep[0] = keep[points.length - 1] = 1;
+    while (stack.length > 0) {
+      var range = stack.pop(),
+          maxDistance = 0,
+          index = -1;
+      for (var i = range[0] + 1; i < range[1]; ++i) {
+        var distance = getSegmentDistance(points[i],
+                                          points[range[0]],
+                                          points[range[1]]);
+        if (distance > maxDistance) {
+          maxDistance = distance;
+          index = i;
+        }
+      }
+      if (index >= 0 && maxDistance > tolerance) {
+        keep[index] = 1;
+        stack.push([range[0], index], [index, range[1]]);
+      }
+    }
+    return points.filter(function (point, i) { return keep[i]; });
+  }
+
+  function getSegmentDistance(point, a, b) {
+    var dx = b[0] - a[0],
+        dy = b[1] - a[1],
+        length = dx * dx + dy * dy,
+        t = (length > 0) ?
+            ((point[0] - a[0]) * dx + (point[1] - a[1]) * dy) / length : 0;
+    t = Math.max(0, Math.min(1, t));
+    dx = point[0] - (a[0] + t * dx);
+    dy = point[1] - (a[1] + t * dy);
+    return Math.sqrt(dx * dx + dy * dy);
+  }
+
+  return {
+    findComponents: findComponents,
+    traceBoundary: traceBoundary,
+    traceHoles: traceHoles,
+    simplify: simplify
+  };
+});
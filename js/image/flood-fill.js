@@ -0,0 +1,45 @@
+/** Flood fill over a pixel grid.
+ *
+ *  var indices = floodFill(width, height, seed, function (index) {
+ *    return labels[index] === labels[seed];
+ *  }, { connectivity: 8 });
+ *
+ * The predicate receives a pixel index (y * width + x) and tells whether the
+ * pixel belongs to the region. The result is an Int32Array of pixel indices.
+ */
+define(function () {
+  function floodFill(width, height, seed, predicate, options) {
+    options = options || {};
+    var connectivity = options.connectivity || 4,
+        visited = new Uint8Array(width * height),
+        stack = [seed],
+        indices = [],
+        dx = [1, -1, 0, 0, 1, 1, -1, -1].slice(0, connectivity),
+        dy = [0, 0, 1, -1, 1, -1, 1, -1].slice(0, connectivity);
+    if (connectivity !== 4 && connectivity !== 8)
+      throw "Invalid connectivity: " + connectivity;
+    if (seed < 0 || seed >= width * height || !predicate(seed))
+      return new Int32Array(0);
+    visited[seed] = 1;
+    while (stack.length > 0) {
+      var index = stack.pop(),
+          x = index % width,
+          y = (index - x) / width;
+      indices.push(index);
+      for (var k = 0; k < dx.length; ++k) {
+        var xp = x + dx[k],
+            yp = y + dy[k],
+            neighbor = yp * width + xp;
+        if (0 <= xp && xp < width && 0 <= yp && yp < height &&
+            !visited[neighbor]) {
+          visited[neighbor] = 1;
+          if (predicate(neighbor))
+            stack.push(neighbor);
+        }
+      }
+    }
+    return new Int32Array(indices);
+  }
+
+  return floodFill;
+});
@@ -0,0 +1,216 @@
+/** GrabCut foreground extraction.
+ *
+ *  var graph = grabcut.createGraph(imageData, regions, numRegions);
+ *  var labels = grabcut.segment(graph, trimap, { iterations: 4 });
+ *
+ * The graph nodes are either pixels or regions such as superpixels. When
+ * `regions` is omitted, every pixel becomes a node, or with the box
+ * [left, top, right, bottom] as the fourth argument, every pixel in the box
+ * in raster order, which keeps the graph small. The trimap assigns each
+ * node one of `grabcut.BACKGROUND`, `grabcut.FOREGROUND` or `grabcut.UNKNOWN`,
+ * and the result is a Uint8Array of node labels where 1 means foreground.
+ *
+ * Reference:
+ *
+ *    GrabCut: Interactive Foreground Extraction using Iterated Graph Cuts
+ *    Carsten Rother, Vladimir Kolmogorov, Andrew Blake
+ *    ACM Transactions on Graphics, vol. 23, num. 3, p. 309 - 314, 2004.
+ */
+define(["./grabcut/gmm",
+        "./grabcut/max-flow"],
+function (GaussianMixture, MaxFlow) {
+  var BACKGROUND = 0,
+      FOREGROUND = 1,
+      UNKNOWN = 2;
+
+  // Create a node graph with mean colors and contrast-sensitive edges.
+  function createGraph(imageData, regions, numRegions, box) {
+    box = box || [0, 0, imageData.width, imageData.height];
+    var width = imageData.width,
+        boxWidth = box[2] - box[0],
+        boxHeight = box[3] - box[1],
+        data = imageData.data,
+        numNodes = (regions) ? numRegions : boxWidth * boxHeight,
+        colors = new Float64Array(3 * numNodes),
+        sizes = new Float64Array(numNodes),
+        edgeIndex = {},
+        edges = { a: [], b: [], w: [] },
+        squaredDistanceSum = 0,
+        numPairs = 0,
+        i, x, y, node;
+    // Get the node of the k-th pixel in the box.
+    function getNode(k) {
+      return (regions) ? regions[getPixel(k)] : k;
+    }
+    function getPixel(k) {
+      var bx = k % boxWidth;
+      return (box[1] + (k - bx) / boxWidth) * width + box[0] + bx;
+    }
+    for (i = 0; i < boxWidth * boxHeight; ++i) {
+      var p = getPixel(i);
+      node = getNode(i);
+      colors[3 * node] += data[4 * p];
+      colors[3 * node + 1] += data[4 * p + 1];
+      colors[3 * node + 2] += data[4 * p + 2];
+      sizes[node] += 1;
+    }
+    for (i = 0; i < numNodes; ++i) {
+      if (sizes[i] > 0) {
+        colors[3 * i] /= sizes[i];
+        colors[3 * i + 1] /= sizes[i];
+        colors[3 * i + 2] /= sizes[i];
+      }
+    }
+    // Call back with the box indices of the neighboring pixels.
+    function forEachPair(callback) {
+      for (y = 0; y < boxHeight; ++y) {
+        for (x = 0; x < boxWidth; ++x) {
+          var k = y * boxWidth + x;
+          if (x < boxWidth - 1)
+            callback(k, k + 1);
+          if (y < boxHeight - 1)
+            callback(k, k + boxWidth);
+        }
+      }
+    }
+    function squaredDistance(k, l) {
+      var p = getPixel(k),
+          q = getPixel(l);
+      return Math.pow(data[4 * p] - data[4 * q], 2) +
+             Math.pow(data[4 * p + 1] - data[4 * q + 1], 2) +
+             Math.pow(data[4 * p + 2] - data[4 * q + 2], 2);
+    }
+    forEachPair(function (k, l) {
+      squaredDistanceSum += squaredDistance(k, l);
+      ++numPairs;
+    });
+    var beta = (squaredDistanceSum > 0) ?
+               numPairs / (2 * squaredDistanceSum) : 0;
+    // Pixel graphs have an edge per pair, so the arrays are allocated once.
+    if (!regions) {
+      var numEdges = (boxWidth - 1) * boxHeight + boxWidth * (boxHeight - 1),
+          pixelEdges = {
+            a: new Int32Array(numEdges),
+            b: new Int32Array(numEdges),
+            w: new Float64Array(numEdges)
+          },
+          e = 0;
+      forEachPair(function (k, l) {
+        pixelEdges.a[e] = k;
+        pixelEdges.b[e] = l;
+        pixelEdges.w[e++] = Math.exp(-beta * squaredDistance(k, l));
+      });
+      return {
+        numNodes: numNodes,
+        colors: colors,
+        sizes: sizes,
+        edges: pixelEdges
+      };
+    }
+    forEachPair(function (k, l) {
+      var a = getNode(k),
+          b = getNode(l),
+          weight = Math.exp(-beta * squaredDistance(k, l));
+      if (a === b)
+        return;
+      var key = (a < b) ? a + ":" + b : b + ":" + a,
+          index = edgeIndex[key];
+      if (index === undefined) {
+        edgeIndex[key] = edges.a.length;
+        edges.a.push(a);
+        edges.b.push(b);
+        edges.w.push(weight);
+      }
+      else
+        edges.w[index] += weight;
+    });
+    return {
+      numNodes: numNodes,
+      colors: colors,
+      sizes: sizes,
+      edges: {
+        a: new Int32Array(edges.a),
+        b: new Int32Array(edges.b),
+        w: new Float64Array(edges.w)
+      }
+    };
+  }
+
+  // Iterate color model fitting and min-cut.
+  function segment(graph, trimap, options) {
+    options = options || {};
+    var iterations = options.iterations || 4,
+        gamma = options.gamma || 50,
+        numNodes = graph.numNodes,
+        labels = new Uint8Array(numNodes),
+        foregroundModel = new GaussianMixture(options),
+        backgroundModel = new GaussianMixture(options),
+        i;
+    for (i = 0; i < numNodes; ++i)
+      labels[i] = (trimap[i] === BACKGROUND) ? 0 : 1;
+    for (var iteration = 0; iteration < iterations; ++iteration) {
+      var foregroundNodes = [],
+          backgroundNodes = [];
+      for (i = 0; i < numNodes; ++i) {
+        if (graph.sizes[i] > 0)
+          (labels[i] ? foregroundNodes : backgroundNodes).push(i);
+      }
+      if (foregroundNodes.length === 0 || backgroundNodes.length === 0)
+        break;
+      foregroundModel.fit(graph.colors, graph.sizes, foregroundNodes);
+      backgroundModel.fit(graph.colors, graph.sizes, backgroundNodes);
+      var newLabels = cut(graph, trimap, foregroundModel, backgroundModel,
+                          gamma),
+          changed = false;
+      for (i = 0; i < numNodes; ++i) {
+        changed = changed || newLabels[i] !== labels[i];
+        labels[i] = newLabels[i];
+      }
+      if (!changed)
+        break;
+    }
+    return labels;
+  }
+
+  function cut(graph, trimap, foregroundModel, backgroundModel, gamma) {
+    var numNodes = graph.numNodes,
+        colors = graph.colors,
+        source = numNodes,
+        sink = numNodes + 1,
+        flow = new MaxFlow(numNodes + 2),
+        labels = new Uint8Array(numNodes),
+        i;
+    for (i = 0; i < numNodes; ++i) {
+      if (trimap[i] === FOREGROUND)
+        flow.addEdge(source, i, Infinity);
+      else if (trimap[i] === BACKGROUND)
+        flow.addEdge(i, sink, Infinity);
+      else {
+        var r = colors[3 * i],
+            g = colors[3 * i + 1],
+            b = colors[3 * i + 2],
+            size = graph.sizes[i];
+        flow.addEdge(source, i,
+                     size * backgroundModel.negativeLogLikelihood(r, g, b));
+        flow.addEdge(i, sink,
+                     size * foregroundModel.negativeLogLikelihood(r, g, b));
+      }
+    }
+    for (i = 0; i < graph.edges.a.length; ++i) {
+      var weight = gamma * graph.edges.w[i];
+      flow.addEdge(graph.edges.a[i], graph.edges.b[i], weight, weight);
+    }
+    flow.compute(source, sink);
+    for (i = 0; i < numNodes; ++i)
+      labels[i] = flow.isSourceSide(i) ? 1 : 0;
+    return labels;
+  }
+
+  return {
+    BACKGROUND: BACKGROUND,
+    FOREGROUND: FOREGROUND,
+    UNKNOWN: UNKNOWN,
+    createGraph: createGraph,
+    segment: segment
+  };
+});
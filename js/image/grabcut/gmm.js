@@ -0,0 +1,190 @@
+/** Gaussian mixture model of RGB colors.
+ *
+ *  var model = new GaussianMixture({ components: 5 });
+ *  model.fit(colors, weights, indices);
+ *  var cost = model.negativeLogLikelihood(r, g, b);
+ *
+ * The colors are given as a flat array of RGB triplets, and indices select
+ * the samples to fit. The first fit initializes components by k-means, and
+ * later fits re-assign samples to their most likely component as in GrabCut.
+ */
+define(function () {
+  var VARIANCE_FLOOR = 1.0;
+
+  function GaussianMixture(options) {
+    options = options || {};
+    this.numComponents = options.components || 5;
+    this.components = [];
+  }
+
+  GaussianMixture.prototype.fit = function (colors, weights, indices) {
+    var assignments = (this.components.length > 0) ?
+        this._assign(colors, indices) :
+        kmeans(colors, weights, indices, this.numComponents);
+    this.components = [];
+    var totalWeight = 0,
+        k, i;
+    for (i = 0; i < indices.length; ++i)
+      totalWeight += weights[indices[i]];
+    for (k = 0; k < this.numComponents; ++k) {
+      var component = estimateGaussian(colors, weights, indices,
+                                       assignments, k);
+      if (component) {
+        component.weight /= totalWeight;
+        this.components.push(component);
+      }
+    }
+    return this;
+  };
+
+  GaussianMixture.prototype.negativeLogLikelihood = function (r, g, b) {
+    var logProbabilities = [],
+        maxValue = -Infinity,
+        sum = 0,
+        k;
+    for (k = 0; k < this.components.length; ++k) {
+      var value = logGaussian(this.components[k], r, g, b) +
+                  Math.log(this.components[k].weight);
+      logProbabilities.push(value);
+      maxValue = Math.max(maxValue, value);
+    }
+    for (k = 0; k < logProbabilities.length; ++k)
+      sum += Math.exp(logProbabilities[k] - maxValue);
+    return -(maxValue + Math.log(sum));
+  };
+
+  GaussianMixture.prototype._assign = function (colors, indices) {
+    var assignments = new Int32Array(indices.length);
+    for (var i = 0; i < indices.length; ++i) {
+      var offset = 3 * indices[i],
+          best = -Infinity;
+      for (var k = 0; k < this.components.length; ++k) {
+        var value = logGaussian(this.components[k],
+                                colors[offset],
+                                colors[offset + 1],
+                                colors[offset + 2]) +
+                    Math.log(this.components[k].weight);
+        if (value > best) {
+          best = value;
+          assignments[i] = k;
+        }
+      }
+    }
+    return assignments;
+  };
+
+  // Weighted k-means initialized at evenly spaced samples in brightness order.
+  function kmeans(colors, weights, indices, numClusters) {
+    var order = Array.prototype.slice.call(indices).sort(function (a, b) {
+          return (colors[3 * a] + colors[3 * a + 1] + colors[3 * a + 2]) -
+                 (colors[3 * b] + colors[3 * b + 1] + colors[3 * b + 2]);
+        }),
+        centers = new Float64Array(3 * numClusters),
+        sums = new Float64Array(4 * numClusters),
+        assignments = new Int32Array(indices.length),
+        i, j, k;
+    for (k = 0; k < numClusters; ++k) {
+      var sample = order[Math.floor((k + 0.5) * order.length / numClusters)];
+      for (j = 0; j < 3; ++j)
+        centers[3 * k + j] = colors[3 * sample + j];
+    }
+    for (var iteration = 0; iteration < 10; ++iteration) {
+      for (i = 0; i < sums.length; ++i)
+        sums[i] = 0;
+      for (i = 0; i < indices.length; ++i) {
+        var offset = 3 * indices[i],
+            minDistance = Infinity;
+        for (k = 0; k < numClusters; ++k) {
+          var distance = 0;
+          for (j = 0; j < 3; ++j)
+            distance += Math.pow(colors[offset + j] - centers[3 * k + j], 2);
+          if (distance < minDistance) {
+            minDistance = distance;
+            assignments[i] = k;
+          }
+        }
+        k = assignments[i];
+        for (j = 0; j < 3; ++j)
+          sums[4 * k + j] += weights[indices[i]] * colors[offset + j];
+        sums[4 * k + 3] += weights[indices[i]];
+      }
+      for (k = 0; k < numClusters; ++k)
+        if (sums[4 * k + 3] > 0)
+          for (j = 0; j < 3; ++j)
+            centers[3 * k + j] = sums[4 * k + j] / sums[4 * k + 3];
+    }
+    return assignments;
+  }
+
+  // Estimate a weighted Gaussian of the samples assigned to the component.
+  function estimateGaussian(colors, weights, indices, assignments, k) {
+    var mean = [0, 0, 0],
+        covariance = [0, 0, 0, 0, 0, 0, 0, 0, 0],
+        weight = 0,
+        i, j, l, offset, w;
+    for (i = 0; i < indices.length; ++i) {
+      if (assignments[i] !== k)
+        continue;
+      offset = 3 * indices[i];
+      w = weights[indices[i]];
+      for (j = 0; j < 3; ++j)
+        mean[j] += w * colors[offset + j];
+      weight += w;
+    }
+    if (weight <= 0)
+      return null;
+    for (j = 0; j < 3; ++j)
+      mean[j] /= weight;
+    for (i = 0; i < indices.length; ++i) {
+      if (assignments[i] !== k)
+        continue;
+      offset = 3 * indices[i];
+      w = weights[indices[i]];
+      for (j = 0; j < 3; ++j)
+        for (l = 0; l < 3; ++l)
+          covariance[3 * j + l] += w * (colors[offset + j] - mean[j]) *
+                                       (colors[offset + l] - mean[l]);
+    }
+    for (j = 0; j < 9; ++j)
+      covariance[j] /= weight;
+    for (j = 0; j < 3; ++j)
+      covariance[4 * j] += VARIANCE_FLOOR;
+    return createComponent(weight, mean, covariance);
+  }
+
+  function createComponent(weight, mean, c) {
+    var determinant = c[0] * (c[4] * c[8] - c[5] * c[7]) -
+                      c[1] * (c[3] * c[8] - c[5] * c[6]) +
+                      c[2] * (c[3] * c[7] - c[4] * c[6]),
+        inverse = [
+          (c[4] * c[8] - c[5] * c[7]) / determinant,
+          (c[2] * c[7] - c[1] * c[8]) / determinant,
+          (c[1] * c[5] - c[2] * c[4]) / determinant,
+          (c[5] * c[6] - c[3] * c[8]) / determinant,
+          (c[0] * c[8] - c[2] * c[6]) / determinant,
+          (c[2] * c[3] - c[0] * c[5]) / determinant,
+          (c[3] * c[7] - c[4] * c[6]) / determinant,
+          (c[1] * c[6] - c[0] * c[7]) / determinant,
+          (c[0] * c[4] - c[1] * c[3]) / determinant
+        ];
+    return {
+      weight: weight,
+      mean: mean,
+      inverse: inverse,
+      logNormalizer: -0.5 * (3 * Math.log(2 * Math.PI) + Math.log(determinant))
+    };
+  }
+
+  function logGaussian(component, r, g, b) {
+    var d0 = r - component.mean[0],
+        d1 = g - component.mean[1],
+        d2 = b - component.mean[2],
+        m = component.inverse;
+    return component.logNormalizer - 0.5 * (
+        d0 * (m[0] * d0 + m[1] * d1 + m[2] * d2) +
+        d1 * (m[3] * d0 + m[4] * d1 + m[5] * d2) +
+        d2 * (m[6] * d0 + m[7] * d1 + m[8] * d2));
+  }
+
+  return GaussianMixture;
+});
@@ -0,0 +1,126 @@
+/** Max-flow / min-cut solver based on Dinic's algorithm.
+ *
+ *  var graph = new MaxFlow(numNodes);
+ *  graph.addEdge(0, 1, 3.0, 0.0);
+ *  var flow = graph.compute(source, sink);
+ *  var isSourceSide = graph.isSourceSide(1);
+ *
+ * The search is iterative so that large pixel graphs do not overflow the
+ * call stack.
+ */
+define(function () {
+  function MaxFlow(numNodes) {
+    this.numNodes = numNodes;
+    this.head = new Int32Array(numNodes);
+    this.next = [];
+    this.to = [];
+    this.capacity = [];
+    this.level = new Int32Array(numNodes);
+    for (var i = 0; i < numNodes; ++i)
+      this.head[i] = -1;
+  }
+
+  // Add a directed edge and its reverse. Edge 2k + 1 is the reverse of 2k.
+  MaxFlow.prototype.addEdge = function (u, v, capacity, reverseCapacity) {
+    this._addArc(u, v, capacity);
+    this._addArc(v, u, reverseCapacity || 0);
+    return this;
+  };
+
+  MaxFlow.prototype._addArc = function (u, v, capacity) {
+    this.next.push(this.head[u]);
+    this.to.push(v);
+    this.capacity.push(capacity);
+    this.head[u] = this.to.length - 1;
+  };
+
+  // Compute the maximum flow from the source to the sink.
+  MaxFlow.prototype.compute = function (source, sink) {
+    var flow = 0;
+    this.next = new Int32Array(this.next);
+    this.to = new Int32Array(this.to);
+    this.capacity = new Float64Array(this.capacity);
+    while (this._buildLevels(source, sink))
+      flow += this._augment(source, sink);
+    return flow;
+  };
+
+  // Tell if the node is on the source side of the minimum cut.
+  MaxFlow.prototype.isSourceSide = function (node) {
+    return this.level[node] >= 0;
+  };
+
+  MaxFlow.prototype._buildLevels = function (source, sink) {
+    var level = this.level,
+        queue = new Int32Array(this.numNodes),
+        begin = 0,
+        end = 0,
+        i;
+    for (i = 0; i < this.numNodes; ++i)
+      level[i] = -1;
+    level[source] = 0;
+    queue[end++] = source;
+    while (begin < end) {
+      var u = queue[begin++];
+      for (var e = this.head[u]; e !== -1; e = this.next[e]) {
+        var v = this.to[e];
+        if (level[v] < 0 && this.capacity[e] > 0) {
+          level[v] = level[u] + 1;
+          queue[end++] = v;
+        }
+      }
+    }
+    return level[sink] >= 0;
+  };
+
+  MaxFlow.prototype._augment = function (source, sink) {
+    var level = this.level,
+        capacity = this.capacity,
+        to = this.to,
+        next = this.next,
+        iterator = new Int32Array(this.head),
+        path = new Int32Array(this.numNodes),
+        depth = 0,
+        total = 0,
+        u = source,
+        e, i;
+    while (true) {
+      if (u === sink) {
+        var bottleneck = Infinity;
+        for (i = 0; i < depth; ++i)
+          bottleneck = Math.min(bottleneck, capacity[path[i]]);
+        for (i = 0; i < depth; ++i) {
+          capacity[path[i]] -= bottleneck;
+          capacity[path[i] ^ 1] += bottleneck;
+        }
+        total += bottleneck;
+        // Retreat to the tail of the first saturated edge.
+        for (i = 0; i < depth; ++i)
+          if (capacity[path[i]] <= 0)
+            break;
+        depth = i;
+        u = (depth === 0) ? source : to[path[depth - 1]];
+        continue;
+      }
+      e = iterator[u];
+      while (e !== -1 && !(capacity[e] > 0 && level[to[e]] === level[u] + 1))
+        e = next[e];
+      iterator[u] = e;
+      if (e !== -1) {
+        path[depth++] = e;
+        u = to[e];
+      }
+      else {
+        // Dead end: drop the node from the level graph and step back.
+        level[u] = -2;
+        if (depth === 0)
+          break;
+        --depth;
+        u = (depth === 0) ? source : to[path[depth - 1]];
+      }
+    }
+    return total;
+  };
+
+  return MaxFlow;
+});
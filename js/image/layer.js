@@ -9,15 +9,32 @@
  *    }
  *  });
  *
+ * After changing a part of imageData, mark it by invalidate() so that render()
+ * only draws the bounding box of the marked regions. Without marks, render()
+ * draws everything.
+ *
+ *  layer.imageData.data[4 * (y * layer.width + x) + 3] = 255;
+ *  layer.invalidate(x, y, 1, 1).render();
+ *
+ * With the tileSize option, the canvas is a div of tile canvases and only the
+ * tiles within the marked box are drawn. Use toCanvas() to get the content in
+ * a single canvas. Tiles limit the drawing and the size of each canvas, not
+ * the memory: imageData still holds the whole layer at full resolution.
+ *
  * Copyright 2015  Kota Yamaguchi
  */
-define(function() {
+define(["./compat"],
+function(compat) {
   // Canvas wrapper object.
   function Layer(source, options) {
     options = options || {};
-    this.canvas = document.createElement("canvas");
-    this.canvas.width = options.width || this.canvas.width;
-    this.canvas.height = options.height || this.canvas.height;
+    this.tileSize = options.tileSize || 0;
+    this.canvas = document.createElement((this.tileSize) ? "div" : "canvas");
+    this.tiles = [];
+    this.dirtyRect = null;
+    this.width = this.canvas.width || 0;
+    this.height = this.canvas.height || 0;
+    this.setSize(options.width || this.width, options.height || this.height);
     if (source) {
       if (typeof source === "string" ||
           typeof source === "object" && source.nodeName === "IMG")
@@ -32,8 +49,7 @@ define(function() {
     options = options || {};
     if (typeof options === "function") options = { onload: options };
     var image, layer = this;
-    this.canvas.width = options.width || this.canvas.width;
-    this.canvas.height = options.height || this.canvas.height;
+    this.setSize(options.width || this.width, options.height || this.height);
     if (typeof source === "string") {
       image = new Image();
       image.src = source;
@@ -47,15 +63,12 @@ define(function() {
   };
 
   Layer.prototype._onImageLoad = function (image, options) {
-    this.canvas.width = options.width || image.width;
-    this.canvas.height = options.height || image.height;
-    var context = this.canvas.getContext("2d");
-    this._setImageSmoothing(context, options);
+    var context = this._getDrawingContext(options.width || image.width,
+                                          options.height || image.height,
+                                          options);
     context.drawImage(image, 0, 0, image.width, image.height,
-                             0, 0, this.canvas.width, this.canvas.height);
-    this.imageData = context.getImageData(0, 0,
-                                          this.canvas.width,
-                                          this.canvas.height);
+                             0, 0, this.width, this.height);
+    this._readDrawingContext(context);
     if (typeof options.onload === "function")
       options.onload.call(this);
   };
@@ -63,17 +76,13 @@ define(function() {
   Layer.prototype.fromCanvas = function (source, options) {
     options = options || {};
     if (typeof options === "function") options = { onload: options };
-    this.canvas.width = source.width;
-    this.canvas.height = source.height;
-    var context = this.canvas.getContext("2d");
-    this._setImageSmoothing(context, options);
+    var context = this._getDrawingContext(source.width, source.height,
+                                          options);
     if (source instanceof ImageData)
       context.putImageData(source, 0, 0);
     else
-      context.drawImage(source, 0, 0, this.canvas.width, this.canvas.height);
-    this.imageData = context.getImageData(0, 0,
-                                          this.canvas.width,
-                                          this.canvas.height);
+      context.drawImage(source, 0, 0, this.width, this.height);
+    this._readDrawingContext(context);
     if (typeof options.onload === "function")
       options.onload.call(this);
     return this;
@@ -82,19 +91,66 @@ define(function() {
   Layer.prototype.fromImageData = function (imageData, options) {
     options = options || {};
     if (typeof options === "function") options = { onload: options };
-    this.canvas.width = imageData.width;
-    this.canvas.height = imageData.height;
-    var context = this.canvas.getContext("2d");
-    this._setImageSmoothing(context, options);
-    context.drawImage(imageData, 0, 0, this.canvas.width, this.canvas.height);
-    this.imageData = context.getImageData(0, 0,
-                                          this.canvas.width,
-                                          this.canvas.height);
+    var context = this._getDrawingContext(imageData.width, imageData.height,
+                                          options);
+    context.putImageData(imageData, 0, 0);
+    this._readDrawingContext(context);
     if (typeof options.onload === "function")
       options.onload.call(this);
     return this;
   };
 
+  // Set the size, clearing the content. Tiles are recreated.
+  Layer.prototype.setSize = function (width, height) {
+    this.width = width;
+    this.height = height;
+    this.dirtyRect = null;
+    if (!this.tileSize) {
+      this.canvas.width = width;
+      this.canvas.height = height;
+      return this;
+    }
+    this.canvas.style.width = width + "px";
+    this.canvas.style.height = height + "px";
+    while (this.canvas.firstChild)
+      this.canvas.removeChild(this.canvas.firstChild);
+    this.tiles = [];
+    for (var y = 0; y < height; y += this.tileSize) {
+      for (var x = 0; x < width; x += this.tileSize) {
+        var tile = document.createElement("canvas");
+        tile.width = Math.min(this.tileSize, width - x);
+        tile.height = Math.min(this.tileSize, height - y);
+        tile.style.position = "absolute";
+        tile.style.left = x + "px";
+        tile.style.top = y + "px";
+        this.canvas.appendChild(tile);
+        this.tiles.push({ x: x, y: y, canvas: tile });
+      }
+    }
+    return this;
+  };
+
+  // Get a context of the size to draw a source into. Tiled layers draw into
+  // a temporary canvas.
+  Layer.prototype._getDrawingContext = function (width, height, options) {
+    var canvas = this.canvas;
+    this.setSize(width, height);
+    if (this.tileSize) {
+      canvas = document.createElement("canvas");
+      canvas.width = width;
+      canvas.height = height;
+    }
+    var context = canvas.getContext("2d");
+    this._setImageSmoothing(context, options || {});
+    return context;
+  };
+
+  Layer.prototype._readDrawingContext = function (context) {
+    this.imageData = context.getImageData(0, 0, this.width, this.height);
+    if (this.tileSize)
+      this.render();
+  };
+
   Layer.prototype._setImageSmoothing = function (context, options) {
     if (typeof options.imageSmoothingEnabled === "undefined")
       options.imageSmoothingEnabled = true;
@@ -105,26 +161,83 @@ define(function() {
   };
 
   Layer.prototype.copy = function (source) {
-    source.render();
-    this.fromCanvas(source.canvas);
-    return this;
+    this.setSize(source.width, source.height);
+    this.imageData = compat.createImageData(source.width, source.height);
+    this.imageData.data.set(source.imageData.data);
+    return this.render();
   };
 
   Layer.prototype.process = function (callback) {
     if (typeof callback !== "function")
       throw "Invalid callback";
     callback.call(this, this.imageData);
+    this.invalidate(0, 0, this.width, this.height);
     return this.render();
   };
 
+  // Draw the marked region, or everything without marks.
   Layer.prototype.render = function () {
-    if (this.imageData)
-      this.canvas.getContext("2d").putImageData(this.imageData, 0, 0);
+    var rect = this.dirtyRect || [0, 0, this.width, this.height];
+    this.dirtyRect = null;
+    if (!this.imageData || rect[0] >= rect[2] || rect[1] >= rect[3])
+      return this;
+    if (!this.tileSize) {
+      this.canvas.getContext("2d").putImageData(this.imageData, 0, 0,
+                                                rect[0], rect[1],
+                                                rect[2] - rect[0],
+                                                rect[3] - rect[1]);
+      return this;
+    }
+    for (var i = 0; i < this.tiles.length; ++i) {
+      var tile = this.tiles[i],
+          left = Math.max(rect[0], tile.x),
+          top = Math.max(rect[1], tile.y),
+          right = Math.min(rect[2], tile.x + tile.canvas.width),
+          bottom = Math.min(rect[3], tile.y + tile.canvas.height);
+      if (left < right && top < bottom)
+        tile.canvas.getContext("2d").putImageData(this.imageData,
+                                                  -tile.x, -tile.y,
+                                                  left, top,
+                                                  right - left,
+                                                  bottom - top);
+    }
     return this;
   };
 
+  // Mark a changed region to draw in the next render(). Regions are merged
+  // into their bounding box.
+  Layer.prototype.invalidate = function (x, y, width, height) {
+    var left = Math.max(x, 0),
+        top = Math.max(y, 0),
+        right = Math.min(x + width, this.width),
+        bottom = Math.min(y + height, this.height),
+        rect = this.dirtyRect;
+    if (!rect)
+      rect = this.dirtyRect = [this.width, this.height, 0, 0];
+    if (left < right && top < bottom) {
+      rect[0] = Math.min(rect[0], left);
+      rect[1] = Math.min(rect[1], top);
+      rect[2] = Math.max(rect[2], right);
+      rect[3] = Math.max(rect[3], bottom);
+    }
+    return this;
+  };
+
+  // Get a canvas of the whole content.
+  Layer.prototype.toCanvas = function () {
+    if (!this.tileSize)
+      return this.render().canvas;
+    var canvas = document.createElement("canvas");
+    canvas.width = this.width;
+    canvas.height = this.height;
+    if (this.imageData)
+      canvas.getContext("2d").putImageData(this.imageData, 0, 0);
+    return canvas;
+  };
+
   Layer.prototype.setAlpha = function (alpha) {
     var data = this.imageData.data;
+    this.invalidate(0, 0, this.width, this.height);
     for (var i = 3; i < data.length; i += 4)
       data[i] = alpha;
     return this;
@@ -132,6 +245,7 @@ define(function() {
 
   Layer.prototype.fill = function (rgba) {
     var data = this.imageData.data;
+    this.invalidate(0, 0, this.width, this.height);
     for (var i = 0; i < data.length; i += 4)
       for (var j = 0; j < rgba.length; ++j)
         data[i + j] = rgba[j];
@@ -144,18 +258,16 @@ define(function() {
         tempoaryContext = temporaryCanvas.getContext("2d");
     temporaryCanvas.width = width;
     temporaryCanvas.height = height;
-    tempoaryContext.drawImage(this.canvas, 0, 0, width, height);
-    this.canvas.width = width;
-    this.canvas.height = height;
-    var context = this.canvas.getContext("2d");
-    this._setImageSmoothing(context, options);
+    tempoaryContext.drawImage(this.toCanvas(), 0, 0, width, height);
+    var context = this._getDrawingContext(width, height, options);
     context.drawImage(temporaryCanvas, 0, 0);
-    this.imageData = context.getImageData(0, 0, width, height);
+    this._readDrawingContext(context);
     return this;
   };
 
   Layer.prototype.applyColormap = function (colormap, grayscale) {
     var data = this.imageData.data;
+    this.invalidate(0, 0, this.width, this.height);
     if (typeof grayscale === "undefined") grayscale = true;
     for (var i = 0; i < data.length; i += 4) {
       var index = data[i];
@@ -177,6 +289,7 @@ define(function() {
         foreground = options.foreground || [255, 255, 255],
         background = options.background || [0, 0, 0],
         i, j, k;
+    this.invalidate(0, 0, this.width, this.height);
     for (i = 0; i < height; ++i) {
       for (j = 0; j < width; ++j) {
         var offset = 4 * (i * width + j),
@@ -205,6 +318,7 @@ define(function() {
 
   Layer.prototype.gray2index = function () {
     var data = this.imageData.data;
+    this.invalidate(0, 0, this.width, this.height);
     for (var i = 0; i < data.length; i += 4) {
       data[i + 1] = 0;
       data[i + 2] = 0;
@@ -11,7 +11,7 @@ function (compat, maxFilter) {
       height: imageData.height,
       data: new Int32Array(imageData.width * imageData.height)
     };
-    for (var i = 0; i < imageData.data.length; ++i) {
+    for (var i = 0; i < indexImage.data.length; ++i) {
       var offset = 4 * i;
       indexImage.data[i] = (imageData.data[offset + 0]) |
                            (imageData.data[offset + 1] << 8) |
@@ -0,0 +1,246 @@
+/** PNG encoder and decoder for label maps.
+ *
+ *  var bytes = png.encode({ width: 2, height: 1, data: [0, 255] }, {
+ *    palette: [[0, 0, 0], [128, 0, 0]]
+ *  });
+ *  var image = png.decode(bytes);  // { width, height, data, palette, ... }
+ *  var url = png.toDataURL(bytes);
+ *
+ * Browsers decode PNG files to RGBA and cannot write palette-based ones, so
+ * this module reads and writes the raw sample values instead. The encoder
+ * writes a palette image when the palette is given, and a grayscale image
+ * otherwise. The decoder reads non-interlaced grayscale and palette images of
+ * any bit depth, and returns one sample value per pixel.
+ *
+ * Copyright 2015  Kota Yamaguchi
+ */
+define(["./zlib"], function (zlib) {
+  var SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10],
+      GRAYSCALE = 0,
+      PALETTE = 3;
+
+  // Encode sample values. Options are bitDepth (8 or 16) and palette.
+  function encode(image, options) {
+    options = options || {};
+    var palette = options.palette || null,
+        bitDepth = options.bitDepth || 8,
+        maxValue = (1 << bitDepth) - 1,
+        bytesPerSample = bitDepth / 8,
+        rowSize = 1 + image.width * bytesPerSample,
+        scanlines = new Uint8Array(rowSize * image.height),
+        i;
+    if (bitDepth !== 8 && (bitDepth !== 16 || palette))
+      throw "Unsupported bit depth: " + bitDepth;
+    if (palette && (palette.length < 1 || palette.length > 256))
+      throw "Invalid palette size: " + palette.length;
+    if (palette)
+      maxValue = palette.length - 1;
+    for (i = 0; i < image.width * image.height; ++i) {
+      var value = image.data[i],
+          offset = Math.floor(i / image.width) + i * bytesPerSample + 1;
+      if (!(value >= 0 && value <= maxValue))
+        throw "Value out of range: " + value;
+      if (bitDepth === 16)
+        scanlines[offset++] = value >>> 8;
+      scanlines[offset] = value & 255;
+    }
+    var header = new Uint8Array(13);
+    writeUint32(header, 0, image.width);
+    writeUint32(header, 4, image.height);
+    header[8] = bitDepth;
+    header[9] = palette ? PALETTE : GRAYSCALE;
+    var chunks = [createChunk("IHDR", header)];
+    if (palette) {
+      var colors = new Uint8Array(3 * palette.length);
+      for (i = 0; i < palette.length; ++i)
+        colors.set(palette[i].slice(0, 3), 3 * i);
+      chunks.push(createChunk("PLTE", colors));
+    }
+    chunks.push(createChunk("IDAT", zlib.deflate(scanlines)),
+                createChunk("IEND", new Uint8Array(0)));
+    return concat([new Uint8Array(SIGNATURE)].concat(chunks));
+  }
+
+  // Decode a grayscale or palette image into sample values.
+  function decode(bytes) {
+    var offset = SIGNATURE.length,
+        header = null,
+        palette = null,
+        compressed = [],
+        i;
+    bytes = new Uint8Array(bytes);
+    for (i = 0; i < SIGNATURE.length; ++i) {
+      if (bytes[i] !== SIGNATURE[i])
+        throw "Invalid PNG signature";
+    }
+    while (offset + 8 <= bytes.length) {
+      var length = readUint32(bytes, offset),
+          type = String.fromCharCode.apply(null,
+                                           bytes.subarray(offset + 4,
+                                                          offset + 8)),
+          content = bytes.subarray(offset + 8, offset + 8 + length);
+      if (content.length !== length)
+        throw "Truncated PNG chunk: " + type;
+      if (type === "IHDR")
+        header = content;
+      else if (type === "PLTE") {
+        palette = [];
+        for (i = 0; i + 2 < length; i += 3)
+          palette.push([content[i], content[i + 1], content[i + 2]]);
+      }
+      else if (type === "IDAT")
+        compressed.push(content);
+      else if (type === "IEND")
+        break;
+      offset += length + 12;
+    }
+    if (!header)
+      throw "Missing PNG header";
+    var image = {
+          width: readUint32(header, 0),
+          height: readUint32(header, 4),
+          bitDepth: header[8],
+          colorType: header[9],
+          palette: palette
+        };
+    if ((image.colorType !== GRAYSCALE && image.colorType !== PALETTE) ||
+        (image.colorType === PALETTE && image.bitDepth > 8))
+      throw "Unsupported PNG color type: " + image.colorType;
+    if (header[12] !== 0)
+      throw "Interlaced PNG is not supported";
+    image.data = readSamples(zlib.inflate(concat(compressed)), image);
+    return image;
+  }
+
+  // Encode bytes into a data URL.
+  function toDataURL(bytes) {
+    var chunks = [];
+    for (var i = 0; i < bytes.length; i += 32768)
+      chunks.push(String.fromCharCode.apply(null,
+                                            bytes.subarray(i, i + 32768)));
+    return "data:image/png;base64," + btoa(chunks.join(""));
+  }
+
+  function readSamples(scanlines, image) {
+    var bitDepth = image.bitDepth,
+        rowSize = Math.ceil(image.width * bitDepth / 8),
+        pixelSize = Math.max(1, bitDepth / 8),
+        data = (bitDepth === 16) ?
+               new Uint16Array(image.width * image.height) :
+               new Uint8Array(image.width * image.height),
+        mask = (1 << Math.min(bitDepth, 8)) - 1,
+        previous = new Uint8Array(rowSize),
+        row = new Uint8Array(rowSize);
+    if (scanlines.length < (rowSize + 1) * image.height)
+      throw "Truncated PNG data";
+    for (var y = 0; y < image.height; ++y) {
+      var offset = y * (rowSize + 1);
+      row.set(scanlines.subarray(offset + 1, offset + 1 + rowSize));
+      unfilter(scanlines[offset], row, previous, pixelSize);
+      for (var x = 0; x < image.width; ++x) {
+        var index = y * image.width + x;
+        if (bitDepth === 16)
+          data[index] = (row[2 * x] << 8) | row[2 * x + 1];
+        else {
+          var bit = x * bitDepth;
+          data[index] = (row[bit >> 3] >> (8 - bitDepth - (bit & 7))) & mask;
+        }
+      }
+      var swap = previous;
+      previous = row;
+      row = swap;
+    }
+    return data;
+  }
+
+  // Undo the scanline filter in place.
+  function unfilter(filter, row, previous, pixelSize) {
+    var i, left, upLeft;
+    for (i = 0; i < row.length; ++i) {
+      left = (i >= pixelSize) ? row[i - pixelSize] : 0;
+      upLeft = (i >= pixelSize) ? previous[i - pixelSize] : 0;
+      if (filter === 1)
+        row[i] += left;
+      else if (filter === 2)
+        row[i] += previous[i];
+      else if (filter === 3)
+        row[i] += (left + previous[i]) >> 1;
+      else if (filter === 4)
+        row[i] += paeth(left, previous[i], upLeft);
+      else if (filter !== 0)
+        throw "Invalid PNG filter: " + filter;
+    }
+  }
+
+  function paeth(a, b, c) {
+    var p = a + b - c,
+        pa = Math.abs(p - a),
+        pb = Math.abs(p - b),
+        pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc)
+      return a;
+    return (pb <= pc) ? b : c;
+  }
+
+  function createChunk(type, content) {
+    var chunk = new Uint8Array(content.length + 12),
+        i;
+    writeUint32(chunk, 0, content.length);
+    for (i = 0; i < 4; ++i)
+      chunk[4 + i] = type.charCodeAt(i);
+    chunk.set(content, 8);
+    writeUint32(chunk, content.length + 8,
+                crc32(chunk.subarray(4, content.length + 8)));
+    return chunk;
+  }
+
+  var CRC_TABLE = (function () {
+    var table = new Int32Array(256);
+    for (var n = 0; n < 256; ++n) {
+      var c = n;
+      for (var k = 0; k < 8; ++k)
+        c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+      table[n] = c;
+    }
+    return table;
+  })();
+
+  function crc32(bytes) {
+    var c = -1;
+    for (var i = 0; i < bytes.length; ++i)
+      c = CRC_TABLE[(c ^ bytes[i]) & 255] ^ (c >>> 8);
+    return (c ^ -1) >>> 0;
+  }
+
+  function readUint32(bytes, offset) {
+    return ((bytes[offset] << 24) | (bytes[offset + 1] << 16) |
+            (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+  }
+
+  function writeUint32(bytes, offset, value) {
+    bytes[offset] = value >>> 24;
+    bytes[offset + 1] = (value >>> 16) & 255;
+    bytes[offset + 2] = (value >>> 8) & 255;
+    bytes[offset + 3] = value & 255;
+  }
+
+  function concat(arrays) {
+    var length = 0,
+        i;
+    for (i = 0; i < arrays.length; ++i)
+      length += arrays[i].length;
+    var result = new Uint8Array(length),
+        offset = 0;
+    for (i = 0; i < arrays.length; ++i) {
+      result.set(arrays[i], offset);
+      offset += arrays[i].length;
+    }
+    return result;
+  }
+
+  return {
+    encode: encode,
+    decode: decode,
+    toDataURL: toDataURL
+  };
+});
@@ -6,13 +6,17 @@
  *  segm.finer();
  *  segm.coarser();
  *
+ * With the tileSize option, images larger than a tile are segmented per tile
+ * and the segments are merged across the seams. See segmentation/tiled.js.
+ *
  * Copyright 2015  Kota Yamaguchi
  */
 define(["./segmentation/pff",
         "./segmentation/slic",
         "./segmentation/slico",
-        "./segmentation/watershed"],
-function (pff, slic, slico, watershed) {
+        "./segmentation/watershed",
+        "./segmentation/tiled"],
+function (pff, slic, slico, watershed, TiledSegmentation) {
   var methods = {
     pff: pff,
     slic: slic,
@@ -25,6 +29,10 @@ function (pff, slic, slico, watershed) {
     options.method = options.method || "slic";
     if (!methods[options.method])
       throw "Invalid method: " + options.method;
+    if (options.tileSize && (imageData.width > options.tileSize ||
+                             imageData.height > options.tileSize))
+      return new TiledSegmentation(imageData, options,
+                                   methods[options.method]);
     return new methods[options.method](imageData, options);
   };
 
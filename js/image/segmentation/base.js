@@ -10,11 +10,39 @@ function (compat) {
       throw "Invalid ImageData";
     this.imageData = compat.createImageData(imageData.width, imageData.height);
     this.imageData.data.set(imageData.data);
+    this.onprogress = (options && options.onprogress) || null;
   }
 
   BaseSegmentation.prototype.finer = function () {};
 
   BaseSegmentation.prototype.coarser = function () {};
 
+  // Apply finer() and coarser() in the order of the names, e.g., ["finer",
+  // "finer", "coarser"], computing the result only once at the end.
+  BaseSegmentation.prototype.adjust = function (steps) {
+    if (steps.length === 0)
+      return;
+    this._compute = function () {};
+    try {
+      for (var i = 0; i < steps.length; ++i) {
+        if (steps[i] !== "finer" && steps[i] !== "coarser")
+          throw "Invalid step: " + steps[i];
+        this[steps[i]]();
+      }
+    }
+    finally {
+      delete this._compute;
+    }
+    var result = this._compute();
+    if (result)
+      this.result = result;
+  };
+
+  // Report the progress of the computation in [0, 1] to options.onprogress.
+  BaseSegmentation.prototype._reportProgress = function (progress) {
+    if (typeof this.onprogress === "function")
+      this.onprogress(progress);
+  };
+
   return BaseSegmentation;
 });
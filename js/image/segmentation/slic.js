@@ -21,8 +21,9 @@
  * Copyright 2014  LongLong Yu.
  */
 define(["./base",
+        "../color",
         "../compat"],
-function(BaseSegmentation, compat) {
+function(BaseSegmentation, color, compat) {
   // SLIC segmentation.
   function SLIC(imageData, options) {
     BaseSegmentation.call(this, imageData, options);
@@ -58,56 +59,10 @@ function(BaseSegmentation, compat) {
     this.result = computeSLICSegmentation(this.imageData,
                                           this.regionSize,
                                           this.minRegionSize,
-                                          this.maxIterations);
+                                          this.maxIterations,
+                                          this._reportProgress.bind(this));
   };
 
-  // Convert RGBA into XYZ color space. rgba: Red Green Blue Alpha.
-  function rgb2xyz(rgba, w, h) {
-    var xyz = new Float32Array(3*w*h),
-        gamma = 2.2;
-    for (var i = 0; i<w*h; i++) {
-      // 1.0 / 255.9 = 0.00392156862.
-      var r = rgba[4*i+0] * 0.00392156862,
-          g = rgba[4*i+1] * 0.00392156862,
-          b = rgba[4*i+2] * 0.00392156862;
-      r = Math.pow(r, gamma);
-      g = Math.pow(g, gamma);
-      b = Math.pow(b, gamma);
-      xyz[i] = (r * 0.4887180 + g * 0.310680 + b * 0.2006020);
-      xyz[i + w*h] = (r * 0.1762040 + g * 0.812985 + b * 0.0108109);
-      xyz[i + 2*w*h] = (g * 0.0102048 + b * 0.989795);
-    }
-    return xyz;
-  }
-
-  // Convert XYZ to Lab.
-  function xyz2lab(xyz, w, h) {
-    function f(x) {
-      if (x > 0.00856)
-        return Math.pow(x, 0.33333333);
-      else
-        return 7.78706891568 * x + 0.1379310336;
-    }
-    var xw = 1.0 / 3.0,
-        yw = 1.0 / 3.0,
-        Yw = 1.0,
-        Xw = xw / yw,
-        Zw = (1-xw-yw) / (yw * Yw),
-        ix = 1.0 / Xw,
-        iy = 1.0 / Yw,
-        iz = 1.0 / Zw,
-        labData = new Float32Array(3*w*h);
-    for (var i = 0; i<w*h; i++) {
-      var fx = f(xyz[i] * ix),
-          fy = f(xyz[w*h + i] * iy),
-          fz = f(xyz[2*w*h + i] * iz);
-      labData[i] = 116.0 * fy - 16.0;
-      labData[i + w*h] = 500.0 * (fx - fy);
-      labData[i + 2*w*h] = 200.0 * (fy - fz);
-    }
-    return labData;
-  }
-
   // Compute gradient of 3 channel color space image.
   function computeEdge(image, edgeMap, w, h) {
     for (var k = 0; k<3; k++) {
@@ -382,7 +337,8 @@ function(BaseSegmentation, compat) {
   function computeSLICSegmentation(imageData,
                                    regionSize,
                                    minRegionSize,
-                                   maxIterations) {
+                                   maxIterations,
+                                   onprogress) {
     var i,
         imWidth = imageData.width,
         imHeight = imageData.height,
@@ -399,8 +355,8 @@ function(BaseSegmentation, compat) {
         mcMap = new Float32Array(numPixels),
         msMap = new Float32Array(numPixels),
         distanceMap = new Float32Array(numPixels),
-        xyzData = rgb2xyz(imageData.data, imWidth, imHeight),
-        labData = xyz2lab(xyzData, imWidth, imHeight);
+        xyzData = color.rgb2xyz(imageData.data, imWidth, imHeight),
+        labData = color.xyz2lab(xyzData, imWidth, imHeight);
     // Compute edge.
     computeEdge(labData, edgeMap, imWidth, imHeight);
     // Initialize K-Means Centers.
@@ -447,6 +403,7 @@ function(BaseSegmentation, compat) {
                      imHeight);
       // Compute residual error of assignment.
       var error = computeResidualError(currentCenters, newCenters);
+      onprogress((iter + 1) / maxIterations);
       if (error < 1e-5)
         break;
       for (i = 0; i < currentCenters.length; ++i)
@@ -340,6 +340,7 @@ function(BaseSegmentation, compat) {
         this.kSeedsX[k] = sigmax[k] * inv;
         this.kSeedsY[k] = sigmay[k] * inv;
       }
+      this._reportProgress(numIter / maxIterations);
     }
   };
 
@@ -0,0 +1,194 @@
+/**
+ * Tiled over-segmentation for large images.
+ *
+ *  var segm = segmentation.create(imageData, {
+ *    method: "slic",
+ *    regionSize: 25,
+ *    tileSize: 1024
+ *  });
+ *
+ * The base method segments each tile independently, then segments on both
+ * sides of a tile seam are merged when their mean colors are within the
+ * mergeThreshold RGB distance (default 16) along at least half of the shorter
+ * seam. finer() and coarser() are applied to every tile.
+ *
+ * Copyright 2015  Kota Yamaguchi
+ */
+define(["./base",
+        "../compat"],
+function (BaseSegmentation, compat) {
+  function TiledSegmentation(imageData, options, Method) {
+    BaseSegmentation.call(this, imageData, options);
+    options = options || {};
+    this.tileSize = options.tileSize;
+    this.mergeThreshold = options.mergeThreshold || 16;
+    var tileOptions = {};
+    for (var key in options) {
+      if (key !== "tileSize" && key !== "onprogress")
+        tileOptions[key] = options[key];
+    }
+    var numTiles = Math.ceil(imageData.width / this.tileSize) *
+                   Math.ceil(imageData.height / this.tileSize);
+    this.tiles = [];
+    for (var y = 0; y < imageData.height; y += this.tileSize) {
+      for (var x = 0; x < imageData.width; x += this.tileSize) {
+        var tileData = cropImageData(this.imageData, x, y,
+                                     this.tileSize, this.tileSize);
+        this.tiles.push({
+          x: x,
+          y: y,
+          width: tileData.width,
+          height: tileData.height,
+          segmentation: new Method(tileData, tileOptions)
+        });
+        this._reportProgress(this.tiles.length / numTiles);
+      }
+    }
+    this._compute();
+  }
+
+  TiledSegmentation.prototype = Object.create(BaseSegmentation.prototype);
+
+  TiledSegmentation.prototype.finer = function () {
+    this.adjust(["finer"]);
+  };
+
+  TiledSegmentation.prototype.coarser = function () {
+    this.adjust(["coarser"]);
+  };
+
+  TiledSegmentation.prototype.adjust = function (steps) {
+    for (var i = 0; i < this.tiles.length; ++i) {
+      this.tiles[i].segmentation.adjust(steps);
+      this._reportProgress((i + 1) / this.tiles.length);
+    }
+    this._compute();
+  };
+
+  TiledSegmentation.prototype._compute = function () {
+    var width = this.imageData.width,
+        height = this.imageData.height,
+        labels = new Int32Array(width * height),
+        numSegments = 0,
+        i, j;
+    for (i = 0; i < this.tiles.length; ++i) {
+      var tile = this.tiles[i],
+          tileResult = tile.segmentation.result;
+      for (var y = 0; y < tile.height; ++y) {
+        for (var x = 0; x < tile.width; ++x) {
+          var offset = 4 * (y * tile.width + x);
+          labels[(tile.y + y) * width + tile.x + x] = numSegments +
+              (tileResult.data[offset] |
+               (tileResult.data[offset + 1] << 8) |
+               (tileResult.data[offset + 2] << 16));
+        }
+      }
+      numSegments += tileResult.numSegments;
+    }
+    var parents = mergeSeams(labels, numSegments, this.imageData,
+                             this.tileSize, this.mergeThreshold),
+        newLabels = new Int32Array(numSegments);
+    for (i = 0; i < numSegments; ++i)
+      newLabels[i] = -1;
+    var result = compat.createImageData(width, height),
+        data = result.data;
+    result.numSegments = 0;
+    for (i = 0; i < labels.length; ++i) {
+      var root = findRoot(parents, labels[i]);
+      if (newLabels[root] < 0)
+        newLabels[root] = result.numSegments++;
+      var value = newLabels[root];
+      j = 4 * i;
+      data[j] = value & 255;
+      data[j + 1] = (value >>> 8) & 255;
+      data[j + 2] = (value >>> 16) & 255;
+      data[j + 3] = 255;
+    }
+    this.result = result;
+  };
+
+  // Copy a region of the image data, clipped to the image.
+  function cropImageData(imageData, left, top, width, height) {
+    width = Math.min(width, imageData.width - left);
+    height = Math.min(height, imageData.height - top);
+    var result = compat.createImageData(width, height);
+    for (var y = 0; y < height; ++y) {
+      var start = 4 * ((top + y) * imageData.width + left);
+      result.data.set(imageData.data.subarray(start, start + 4 * width),
+                      4 * y * width);
+    }
+    return result;
+  }
+
+  // Merge similar segments across the tile seams, and return the union-find
+  // parents of the segments.
+  function mergeSeams(labels, numSegments, imageData, tileSize, threshold) {
+    var width = imageData.width,
+        height = imageData.height,
+        data = imageData.data,
+        sums = new Float64Array(3 * numSegments),
+        counts = new Uint32Array(numSegments),
+        parents = new Int32Array(numSegments),
+        seams = {},
+        i, x, y;
+    for (i = 0; i < labels.length; ++i) {
+      var label = labels[i];
+      sums[3 * label] += data[4 * i];
+      sums[3 * label + 1] += data[4 * i + 1];
+      sums[3 * label + 2] += data[4 * i + 2];
+      counts[label] += 1;
+    }
+    // Count the border length of each pair of segments facing on a seam.
+    function addPair(a, b) {
+      if (a === b)
+        return;
+      var key = Math.min(a, b) + "," + Math.max(a, b);
+      seams[key] = (seams[key] || 0) + 1;
+    }
+    for (x = tileSize; x < width; x += tileSize)
+      for (y = 0; y < height; ++y)
+        addPair(labels[y * width + x - 1], labels[y * width + x]);
+    for (y = tileSize; y < height; y += tileSize)
+      for (x = 0; x < width; ++x)
+        addPair(labels[(y - 1) * width + x], labels[y * width + x]);
+    // Seam length of each segment, to ignore pairs touching at a corner.
+    var seamLengths = new Uint32Array(numSegments), key, pair;
+    for (key in seams) {
+      pair = key.split(",");
+      seamLengths[pair[0]] += seams[key];
+      seamLengths[pair[1]] += seams[key];
+    }
+    for (i = 0; i < numSegments; ++i)
+      parents[i] = i;
+    for (key in seams) {
+      pair = key.split(",").map(Number);
+      var a = pair[0],
+          b = pair[1],
+          distance = 0;
+      if (2 * seams[key] < Math.min(seamLengths[a], seamLengths[b]))
+        continue;
+      for (i = 0; i < 3; ++i) {
+        var difference = sums[3 * a + i] / counts[a] -
+                         sums[3 * b + i] / counts[b];
+        distance += difference * difference;
+      }
+      if (Math.sqrt(distance) <= threshold) {
+        var rootA = findRoot(parents, a),
+            rootB = findRoot(parents, b);
+        if (rootA !== rootB)
+          parents[Math.max(rootA, rootB)] = Math.min(rootA, rootB);
+      }
+    }
+    return parents;
+  }
+
+  function findRoot(parents, i) {
+    while (parents[i] !== i) {
+      parents[i] = parents[parents[i]];
+      i = parents[i];
+    }
+    return i;
+  }
+
+  return TiledSegmentation;
+});
@@ -0,0 +1,82 @@
+/**
+ * Web Worker script to run the segmentation off the main thread. See
+ * helper/segmentation-worker.js for the page side.
+ *
+ * Messages from the page:
+ *
+ *  { id: 1, type: "create", width: 640, height: 480, buffer: ArrayBuffer,
+ *    options: { method: "slic" }, steps: ["finer"] }
+ *  { id: 2, type: "adjust", steps: ["coarser"] }
+ *
+ * Messages to the page:
+ *
+ *  { id: 1, type: "progress", progress: 0.5 }
+ *  { id: 1, type: "result", width: 640, height: 480, buffer: ArrayBuffer,
+ *    numSegments: 1200 }
+ *  { id: 1, type: "error", message: "Invalid method: foo" }
+ *
+ * Copyright 2015  Kota Yamaguchi
+ */
+importScripts("../../require.js");
+
+(function () {
+  var queue = [],
+      segmentation = null,
+      currentId = null;
+
+  // Messages may arrive before the modules are loaded.
+  self.onmessage = function (event) { queue.push(event); };
+
+  function postResult(id, result) {
+    var buffer = result.data.buffer;
+    self.postMessage({
+      id: id,
+      type: "result",
+      width: result.width,
+      height: result.height,
+      buffer: buffer,
+      numSegments: result.numSegments
+    }, [buffer]);
+  }
+
+  function handleMessage(factory, message) {
+    var options;
+    currentId = message.id;
+    try {
+      if (message.type === "create") {
+        options = message.options || {};
+        options.onprogress = function (progress) {
+          self.postMessage({
+            id: currentId,
+            type: "progress",
+            progress: progress
+          });
+        };
+        segmentation = factory.create(
+            new ImageData(new Uint8ClampedArray(message.buffer),
+                          message.width,
+                          message.height),
+            options);
+      }
+      else if (message.type !== "adjust" || !segmentation)
+        throw "Invalid message: " + message.type;
+      segmentation.adjust(message.steps || []);
+      // The result is transferred, so the next adjust() computes a new one.
+      postResult(message.id, segmentation.result);
+    }
+    catch (error) {
+      self.postMessage({
+        id: message.id,
+        type: "error",
+        message: String(error)
+      });
+    }
+  }
+
+  requirejs.config({ baseUrl: "../../" });
+  requirejs(["image/segmentation"], function (factory) {
+    self.onmessage = function (event) { handleMessage(factory, event.data); };
+    while (queue.length > 0)
+      handleMessage(factory, queue.shift().data);
+  });
+})();
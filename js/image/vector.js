@@ -0,0 +1,176 @@
+/** Vector formats of an index image.
+ *
+ *  var indexImage = morph.decodeIndexImage(imageData);
+ *  var shapes = vector.createShapes(indexImage, { tolerance: 1 });
+ *  // [{ value, label, instance, polygons: [[outer, hole, ...], ...] }]
+ *  var geojson = vector.createGeoJSON(shapes, { labels: ["bg", "skin"] });
+ *  var svg = vector.createSVG(shapes, {
+ *    width: 640,
+ *    height: 480,
+ *    colormap: [[255, 255, 255], [255, 0, 0]]
+ *  });
+ *  var labelme = vector.createLabelMe(shapes, {
+ *    labels: ["bg", "skin"],
+ *    imagePath: "1.jpg",
+ *    width: 640,
+ *    height: 480
+ *  });
+ *
+ * Each connected component of a label becomes a polygon, whose rings are the
+ * outer boundary and the holes, simplified within tolerance pixels (default
+ * 1). In the instance mode, where the value is (instance << 8) | label, the
+ * components of an instance make one shape. Labels in ignoreLabels (default
+ * [0]) are skipped.
+ *
+ * Coordinates are in pixels with the y axis pointing down. Outer rings are
+ * clockwise on the screen and holes counterclockwise, which follows the
+ * right-hand rule of GeoJSON with the y axis pointing up. LabelMe has no
+ * holes, so holes are dropped in that format.
+ *
+ * Copyright 2015  Kota Yamaguchi
+ */
+define(["./contour"],
+function (contour) {
+  // Trace the label regions of the index image.
+  function createShapes(indexImage, options) {
+    options = options || {};
+    var components = contour.findComponents(indexImage),
+        regions = components.regions,
+        ignoreLabels = options.ignoreLabels || [0],
+        tolerance = (options.tolerance === undefined) ? 1 : options.tolerance,
+        instanceShapes = {},
+        shapes = [];
+    for (var id = 0; id < regions.length; ++id) {
+      var value = regions[id].value,
+          label = (options.instanceMode) ? value & 255 : value,
+          instance = (options.instanceMode) ? value >>> 8 : 0;
+      if (ignoreLabels.indexOf(label) >= 0)
+        continue;
+      var rings = [contour.traceBoundary(components, id)]
+                  .concat(contour.traceHoles(components, id)),
+          polygon = rings.map(function (ring) {
+            return contour.simplify(ring, tolerance);
+          });
+      if (instance > 0 && instanceShapes.hasOwnProperty(value)) {
+        instanceShapes[value].polygons.push(polygon);
+        continue;
+      }
+      var shape = {
+        value: value,
+        label: label,
+        instance: instance,
+        polygons: [polygon]
+      };
+      if (instance > 0)
+        instanceShapes[value] = shape;
+      shapes.push(shape);
+    }
+    return shapes;
+  }
+
+  // Create a GeoJSON FeatureCollection with a feature for each shape.
+  function createGeoJSON(shapes, options) {
+    options = options || {};
+    var labels = options.labels || [];
+    return {
+      type: "FeatureCollection",
+      features: shapes.map(function (shape) {
+        var coordinates = shape.polygons.map(function (polygon) {
+          return polygon.map(closeRing);
+        });
+        return {
+          type: "Feature",
+          properties: {
+            label: shape.label,
+            name: getName(labels, shape.label),
+            instance: shape.instance
+          },
+          geometry: (coordinates.length === 1) ?
+              { type: "Polygon", coordinates: coordinates[0] } :
+              { type: "MultiPolygon", coordinates: coordinates }
+        };
+      })
+    };
+  }
+
+  // Create an SVG document with a path for each shape.
+  function createSVG(shapes, options) {
+    options = options || {};
+    var labels = options.labels || [],
+        colormap = options.colormap || [],
+        opacity = (options.opacity === undefined) ? 1 : options.opacity,
+        lines = [
+          '<svg xmlns="http://www.w3.org/2000/svg" width="' + options.width +
+          '" height="' + options.height + '" viewBox="0 0 ' + options.width +
+          ' ' + options.height + '">'
+        ];
+    shapes.forEach(function (shape) {
+      var color = colormap[shape.label] || [0, 0, 0],
+          name = escapeXML(getName(labels, shape.label)),
+          path = [];
+      shape.polygons.forEach(function (polygon) {
+        polygon.forEach(function (ring) {
+          path.push("M" + ring.map(function (point) {
+            return point[0] + " " + point[1];
+          }).join("L") + "Z");
+        });
+      });
+      lines.push('  <path data-label="' + name +
+                 '" data-instance="' + shape.instance +
+                 '" fill="rgb(' + color.slice(0, 3).join(",") +
+                 ')" fill-opacity="' + opacity +
+                 '" fill-rule="evenodd" d="' + path.join(" ") + '"/>');
+    });
+    lines.push("</svg>");
+    return lines.join("\n") + "\n";
+  }
+
+  // Create a LabelMe annotation with a polygon for each component.
+  function createLabelMe(shapes, options) {
+    options = options || {};
+    var labels = options.labels || [],
+        labelmeShapes = [];
+    shapes.forEach(function (shape) {
+      shape.polygons.forEach(function (polygon) {
+        labelmeShapes.push({
+          label: getName(labels, shape.label),
+          points: polygon[0],
+          group_id: (shape.instance > 0) ? shape.instance : null,
+          shape_type: "polygon",
+          flags: {}
+        });
+      });
+    });
+    return {
+      version: "5.0.1",
+      flags: {},
+      shapes: labelmeShapes,
+      imagePath: options.imagePath || "",
+      imageData: null,
+      imageHeight: options.height,
+      imageWidth: options.width
+    };
+  }
+
+  function getName(labels, label) {
+    return (labels[label] === undefined) ? String(label) : labels[label];
+  }
+
+  function closeRing(ring) {
+    return ring.concat([ring[0]]);
+  }
+
+  function escapeXML(text) {
+    return String(text).replace(/&/g, "&amp;")
+                       .replace(/</g, "&lt;")
+                       .replace(/>/g, "&gt;")
+                       .replace(/"/g, "&quot;");
+  }
+
+  return {
+    createShapes: createShapes,
+    createGeoJSON: createGeoJSON,
+    createSVG: createSVG,
+    createLabelMe: createLabelMe
+  };
+});
@@ -0,0 +1,364 @@
+/** Zlib compression for PNG.
+ *
+ *  var compressed = zlib.deflate(bytes);  // Uint8Array
+ *  var bytes = zlib.inflate(compressed);
+ *
+ * deflate() uses LZ77 with the fixed Huffman codes, which compresses label
+ * maps well. inflate() reads any zlib stream without a preset dictionary.
+ *
+ * Copyright 2015  Kota Yamaguchi
+ */
+define(function () {
+  var LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31,
+                     35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258],
+      LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2,
+                      3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0],
+      DISTANCE_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129,
+                       193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097,
+                       6145, 8193, 12289, 16385, 24577],
+      DISTANCE_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6,
+                        7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13],
+      CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3,
+                           13, 2, 14, 1, 15],
+      WINDOW_SIZE = 32768,
+      MAX_MATCH = 258,
+      MAX_CHAIN = 64;
+
+  // Compress bytes into a zlib stream.
+  function deflate(bytes) {
+    var writer = new BitWriter(bytes.length / 4 + 64),
+        head = new Int32Array(65536),
+        previous = new Int32Array(WINDOW_SIZE),
+        i = 0,
+        j;
+    for (j = 0; j < head.length; ++j)
+      head[j] = -1;
+    writer.writeBits(0x78, 8);
+    writer.writeBits(0x01, 8);
+    writer.writeBits(1, 1);  // Final block.
+    writer.writeBits(1, 2);  // Fixed Huffman codes.
+    while (i < bytes.length) {
+      var bestLength = 0,
+          bestDistance = 0;
+      if (i + 2 < bytes.length) {
+        var hash = getHash(bytes, i),
+            candidate = head[hash],
+            chain = MAX_CHAIN;
+        while (candidate >= 0 && i - candidate <= WINDOW_SIZE && chain-- > 0) {
+          var length = 0,
+              limit = Math.min(MAX_MATCH, bytes.length - i);
+          while (length < limit &&
+                 bytes[candidate + length] === bytes[i + length])
+            ++length;
+          if (length > bestLength) {
+            bestLength = length;
+            bestDistance = i - candidate;
+            if (length === limit)
+              break;
+          }
+          candidate = previous[candidate % WINDOW_SIZE];
+        }
+      }
+      var step = (bestLength >= 3) ? bestLength : 1;
+      if (bestLength >= 3)
+        writeMatch(writer, bestLength, bestDistance);
+      else
+        writeFixedCode(writer, bytes[i]);
+      for (j = 0; j < step; ++j, ++i) {
+        if (i + 2 < bytes.length) {
+          var key = getHash(bytes, i);
+          previous[i % WINDOW_SIZE] = head[key];
+          head[key] = i;
+        }
+      }
+    }
+    writeFixedCode(writer, 256);
+    writer.alignToByte();
+    var checksum = adler32(bytes);
+    for (j = 3; j >= 0; --j)
+      writer.writeBits((checksum >>> (8 * j)) & 255, 8);
+    return writer.getBytes();
+  }
+
+  // Decompress a zlib stream.
+  function inflate(bytes) {
+    if ((bytes[0] & 15) !== 8 || ((bytes[0] << 8) | bytes[1]) % 31 !== 0 ||
+        (bytes[1] & 0x20))
+      throw "Invalid zlib stream";
+    var reader = new BitReader(bytes, 2),
+        output = new ByteBuffer(bytes.length * 4),
+        isFinal = false;
+    while (!isFinal) {
+      isFinal = reader.readBits(1) === 1;
+      var type = reader.readBits(2);
+      if (type === 0)
+        inflateStored(reader, output);
+      else if (type === 1)
+        inflateBlock(reader, output, FIXED_CODES.literal,
+                     FIXED_CODES.distance);
+      else if (type === 2)
+        inflateDynamic(reader, output);
+      else
+        throw "Invalid deflate block";
+    }
+    return output.getBytes();
+  }
+
+  function getHash(bytes, i) {
+    return ((bytes[i] << 8) ^ (bytes[i + 1] << 4) ^ bytes[i + 2]) & 65535;
+  }
+
+  function writeMatch(writer, length, distance) {
+    var i = findBase(LENGTH_BASE, length);
+    writeFixedCode(writer, 257 + i);
+    writer.writeBits(length - LENGTH_BASE[i], LENGTH_EXTRA[i]);
+    i = findBase(DISTANCE_BASE, distance);
+    writer.writeCode(i, 5);
+    writer.writeBits(distance - DISTANCE_BASE[i], DISTANCE_EXTRA[i]);
+  }
+
+  // Find the last base not greater than the value.
+  function findBase(bases, value) {
+    var i = bases.length - 1;
+    while (bases[i] > value)
+      --i;
+    return i;
+  }
+
+  function writeFixedCode(writer, symbol) {
+    if (symbol < 144)
+      writer.writeCode(0x30 + symbol, 8);
+    else if (symbol < 256)
+      writer.writeCode(0x190 + symbol - 144, 9);
+    else if (symbol < 280)
+      writer.writeCode(symbol - 256, 7);
+    else
+      writer.writeCode(0xc0 + symbol - 280, 8);
+  }
+
+  function inflateStored(reader, output) {
+    reader.alignToByte();
+    var length = reader.readBits(16),
+        complement = reader.readBits(16);
+    if ((length ^ 0xffff) !== complement)
+      throw "Invalid stored block";
+    for (var i = 0; i < length; ++i)
+      output.push(reader.readBits(8));
+  }
+
+  function inflateDynamic(reader, output) {
+    var numLiterals = reader.readBits(5) + 257,
+        numDistances = reader.readBits(5) + 1,
+        numCodeLengths = reader.readBits(4) + 4,
+        codeLengths = new Uint8Array(19),
+        lengths = new Uint8Array(numLiterals + numDistances),
+        i = 0;
+    for (var j = 0; j < numCodeLengths; ++j)
+      codeLengths[CODE_LENGTH_ORDER[j]] = reader.readBits(3);
+    var codeLengthCode = new Huffman(codeLengths);
+    while (i < lengths.length) {
+      var symbol = codeLengthCode.decode(reader),
+          repeat = 0,
+          value = 0;
+      if (symbol < 16) {
+        lengths[i++] = symbol;
+        continue;
+      }
+      if (symbol === 16) {
+        if (i === 0)
+          throw "Invalid code lengths";
+        value = lengths[i - 1];
+        repeat = 3 + reader.readBits(2);
+      }
+      else if (symbol === 17)
+        repeat = 3 + reader.readBits(3);
+      else
+        repeat = 11 + reader.readBits(7);
+      if (i + repeat > lengths.length)
+        throw "Invalid code lengths";
+      while (repeat-- > 0)
+        lengths[i++] = value;
+    }
+    inflateBlock(reader,
+                 output,
+                 new Huffman(lengths.subarray(0, numLiterals)),
+                 new Huffman(lengths.subarray(numLiterals)));
+  }
+
+  function inflateBlock(reader, output, literalCode, distanceCode) {
+    while (true) {
+      var symbol = literalCode.decode(reader);
+      if (symbol < 256)
+        output.push(symbol);
+      else if (symbol === 256)
+        return;
+      else {
+        symbol -= 257;
+        if (symbol >= LENGTH_BASE.length)
+          throw "Invalid length code";
+        var length = LENGTH_BASE[symbol] +
+                     reader.readBits(LENGTH_EXTRA[symbol]),
+            code = distanceCode.decode(reader);
+        if (code >= DISTANCE_BASE.length)
+          throw "Invalid distance code";
+        var distance = DISTANCE_BASE[code] +
+                       reader.readBits(DISTANCE_EXTRA[code]);
+        output.copy(distance, length);
+      }
+    }
+  }
+
+  // Canonical Huffman code from code lengths.
+  function Huffman(lengths) {
+    var offsets = new Uint16Array(16),
+        i;
+    this.counts = new Uint16Array(16);
+    this.symbols = new Uint16Array(lengths.length);
+    for (i = 0; i < lengths.length; ++i)
+      this.counts[lengths[i]] += 1;
+    this.counts[0] = 0;
+    for (i = 1; i < 16; ++i)
+      offsets[i] = offsets[i - 1] + this.counts[i - 1];
+    for (i = 0; i < lengths.length; ++i) {
+      if (lengths[i] > 0)
+        this.symbols[offsets[lengths[i]]++] = i;
+    }
+  }
+
+  Huffman.prototype.decode = function (reader) {
+    var code = 0,
+        first = 0,
+        index = 0;
+    for (var length = 1; length < 16; ++length) {
+      code |= reader.readBits(1);
+      var count = this.counts[length];
+      if (code - count < first)
+        return this.symbols[index + code - first];
+      index += count;
+      first = (first + count) << 1;
+      code <<= 1;
+    }
+    throw "Invalid Huffman code";
+  };
+
+  var FIXED_CODES = (function () {
+    var literal = new Uint8Array(288),
+        distance = new Uint8Array(30),
+        i;
+    for (i = 0; i < 288; ++i)
+      literal[i] = (i < 144) ? 8 : (i < 256) ? 9 : (i < 280) ? 7 : 8;
+    for (i = 0; i < 30; ++i)
+      distance[i] = 5;
+    return {
+      literal: new Huffman(literal),
+      distance: new Huffman(distance)
+    };
+  })();
+
+  // Read bits from the least significant bit of each byte.
+  function BitReader(bytes, offset) {
+    this.bytes = bytes;
+    this.offset = offset || 0;
+    this.buffer = 0;
+    this.count = 0;
+  }
+
+  BitReader.prototype.readBits = function (n) {
+    while (this.count < n) {
+      if (this.offset >= this.bytes.length)
+        throw "Unexpected end of data";
+      this.buffer |= this.bytes[this.offset++] << this.count;
+      this.count += 8;
+    }
+    var value = this.buffer & ((1 << n) - 1);
+    this.buffer >>>= n;
+    this.count -= n;
+    return value;
+  };
+
+  BitReader.prototype.alignToByte = function () {
+    this.buffer = 0;
+    this.count = 0;
+  };
+
+  // Write bits from the least significant bit of each byte.
+  function BitWriter(capacity) {
+    this.output = new ByteBuffer(capacity);
+    this.buffer = 0;
+    this.count = 0;
+  }
+
+  BitWriter.prototype.writeBits = function (value, n) {
+    this.buffer |= value << this.count;
+    this.count += n;
+    while (this.count >= 8) {
+      this.output.push(this.buffer & 255);
+      this.buffer >>>= 8;
+      this.count -= 8;
+    }
+  };
+
+  // Huffman codes are written from the most significant bit.
+  BitWriter.prototype.writeCode = function (code, n) {
+    var reversed = 0;
+    for (var i = 0; i < n; ++i)
+      reversed |= ((code >>> i) & 1) << (n - 1 - i);
+    this.writeBits(reversed, n);
+  };
+
+  BitWriter.prototype.alignToByte = function () {
+    if (this.count > 0)
+      this.writeBits(0, 8 - this.count);
+  };
+
+  BitWriter.prototype.getBytes = function () {
+    return this.output.getBytes();
+  };
+
+  // Growing byte array.
+  function ByteBuffer(capacity) {
+    this.bytes = new Uint8Array(Math.max(capacity, 1024));
+    this.length = 0;
+  }
+
+  ByteBuffer.prototype.push = function (value) {
+    if (this.length === this.bytes.length)
+      this._grow(this.length + 1);
+    this.bytes[this.length++] = value;
+  };
+
+  // Copy bytes from the distance back, which may overlap the new bytes.
+  ByteBuffer.prototype.copy = function (distance, length) {
+    if (distance > this.length)
+      throw "Invalid distance";
+    if (this.length + length > this.bytes.length)
+      this._grow(this.length + length);
+    for (var i = 0; i < length; ++i, ++this.length)
+      this.bytes[this.length] = this.bytes[this.length - distance];
+  };
+
+  ByteBuffer.prototype.getBytes = function () {
+    return this.bytes.slice(0, this.length);
+  };
+
+  ByteBuffer.prototype._grow = function (size) {
+    var bytes = new Uint8Array(Math.max(size, 2 * this.bytes.length));
+    bytes.set(this.bytes);
+    this.bytes = bytes;
+  };
+
+  function adler32(bytes) {
+    var a = 1,
+        b = 0;
+    for (var i = 0; i < bytes.length; ++i) {
+      a = (a + bytes[i]) % 65521;
+      b = (b + a) % 65521;
+    }
+    return ((b << 16) | a) >>> 0;
+  }
+
+  return {
+    deflate: deflate,
+    inflate: inflate
+  };
+});